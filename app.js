@@ -6,8 +6,6 @@ const mongoose = require('mongoose');
 const session = require('express-session');
 const MongoDBStore = require('connect-mongodb-session')(session);
 const engine = require('ejs-mate');
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const multer = require('multer');
 const dayjs = require('dayjs');
 const helmet = require('helmet');
@@ -15,20 +13,92 @@ const helmet = require('helmet');
 
 const isLogin = require('./middleware/isLogin');
 const isLog = require('./middleware/isLog');
+const loginThrottle = require('./middleware/loginThrottle');
+const requirePermission = require('./middleware/requirePermission');
+const { can, canImpersonateUser, landingFor } = require('./config/roles');
 
 const users = require('./model/user');
 const Log = require('./model/logs');
+const LoginAttempt = require('./model/loginAttempt');
+const ImportBatch = require('./model/importBatch');
+const Job = require('./model/job');
+const Company = require('./model/company');
+const Application = require('./model/application');
+const { STAGES, isClosedStage } = require('./config/pipeline');
+const jobSearch = require('./utils/jobSearch');
+const Document = require('./model/document');
+const { DOCUMENT_TYPES, PHOTO_RULES, REVIEW_STATUSES, receiveDocuments, storeDocuments, photoUpload, checkPhoto, storePhoto } = require('./utils/documents');
+const storage = require('./utils/storage');
+const Skill = require('./model/skill');
+const { skillLists, skillIndex, canonicalize, canonicalSkills } = require('./utils/skills');
+const { scoreMatch, rankBy } = require('./utils/matching');
+const Notification = require('./model/notification');
+const { notify, notifyMany, sendDigests } = require('./utils/notifications');
+const { NOTIFICATION_TYPES, JOB_MATCH_THRESHOLD, DIGEST_HOURS, DIGEST_CHECK_MINUTES, channelsFor } = require('./config/notifications');
+const Message = require('./model/message');
+const MessageTemplate = require('./model/messageTemplate');
+const { receiveAttachments, checkAttachments, storeAttachments, threadRole } = require('./utils/messages');
+const { MAX_MESSAGE_LENGTH, MAX_ATTACHMENTS, ATTACHMENT_RULES, DEFAULT_TEMPLATES, TEMPLATE_PLACEHOLDERS, fillTemplate } = require('./config/messages');
+const Survey = require('./model/survey');
+const SurveyInvitation = require('./model/surveyInvitation');
+const SurveyResponse = require('./model/surveyResponse');
+const surveys = require('./utils/surveys');
+const { dashboardFor, CACHE_SECONDS: DASHBOARD_CACHE_SECONDS, LOGIN_DAYS } = require('./utils/dashboard');
+const { barChart, lineChart } = require('./utils/charts');
+const { QUESTION_TYPES, CHOICE_TYPES, REPORT_TAGS, DEFAULT_AUDIENCE_ROLES } = require('./config/surveys');
+const PasswordReset = require('./model/passwordReset');
+const { sendMail } = require('./utils/mailer');
+const registration = require('./utils/registration');
+const userImport = require('./utils/userImport');
+const { sendSheet, sendBook } = require('./utils/spreadsheet');
+const rosterExport = require('./utils/rosterExport');
+const { destroyUserSessions } = require('./utils/sessions');
+const { audit, whoIs, fullName, getIp } = require('./utils/audit');
+const { archiveExpiredLogs } = require('./utils/logArchive');
 const { isWeakMap } = require('util/types');
+const crypto = require('crypto');
 
 const app = express();
 const PORT = process.env.PORT || 1000;
 process.env.TZ = "Asia/Manila";
 
+// Ilang reverse proxy ang nasa harap ng app (e.g. TRUST_PROXY=1 sa Render/Heroku, o "loopback" sa nginx).
+// Kapag wala, ang IP ng connection ang req.ip at hindi pinapansin ang X-Forwarded-For (audit logs at login throttle).
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
 // Database Connection to!
 mongoose.connect(process.env.MONGO_URI)
   .then(() => console.log('✅ Audres25 DB Access Granted'))
   .catch(err => console.error('❌ Audres25 DB Access Denied, Why? :', err));
 
+// Automatic log archival (see config/retention.js), LOG_ARCHIVE_HOURS=0 para i-off
+const LOG_ARCHIVE_HOURS = process.env.LOG_ARCHIVE_HOURS === undefined ? 24 : Number(process.env.LOG_ARCHIVE_HOURS);
+if (LOG_ARCHIVE_HOURS > 0) {
+  setInterval(async () => {
+    try {
+      const results = await archiveExpiredLogs();
+      const total = results.reduce((sum, result) => sum + result.archived, 0);
+      if (total) console.log(`🗄️  Archived ${total} expired log(s)`);
+    } catch (err) {
+      console.error('⚠️ Log archival failed:', err);
+    }
+  }, LOG_ARCHIVE_HOURS * 60 * 60 * 1000).unref();
+}
+
+// Daily email digest ng notifications (see config/notifications.js), NOTIFICATION_DIGEST_HOURS=0 para i-off
+if (DIGEST_HOURS > 0) {
+  setInterval(async () => {
+    try {
+      const result = await sendDigests();
+      if (result.users) console.log(`📬 Sent ${result.users} notification digest(s)`);
+      if (result.failed) console.error(`⚠️ ${result.failed} notification digest(s) failed, will retry next run`);
+    } catch (err) {
+      console.error('⚠️ Notification digest failed:', err);
+    }
+  }, DIGEST_CHECK_MINUTES * 60 * 1000).unref();
+}
+
 // Setup ng Session
 const store = new MongoDBStore({
   uri: process.env.MONGO_URI,
@@ -165,6 +235,10 @@ app.use((req, res, next) => {
 
   // Always include the user if logged in
   res.locals.user = req.session.user || null;
+  res.locals.impersonator = req.session.impersonator || null;
+
+  // Sa EJS: <% if (can('users.verify')) { %> ... <% } %>
+  res.locals.can = (permission) => can(res.locals.user, permission);
 
   // Clear messages after showing them once (like flash messages)
   req.session.error = null;
@@ -177,53 +251,38 @@ app.use((req, res, next) => {
   next();
 });
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
-// Cloudinary storage
-const storage = new CloudinaryStorage({
-  cloudinary,
-  params: async (req, file) => ({
-    folder: 'audres25', // your folder in Cloudinary
-    resource_type: 'auto',
-    public_id: `${Date.now()}-${file.originalname}`
-  })
+// Unread badge ng notification center: binibilang lang kapag may page na ire-render
+// (hindi sa redirects, downloads, o /files)
+app.use((req, res, next) => {
+  res.locals.unreadNotifications = 0;
+  const render = res.render.bind(res);
+  res.render = (...args) => {
+    if (!req.session.user) return render(...args);
+    Notification.unreadCount(req.session.user._id)
+      .then(count => { res.locals.unreadNotifications = count; })
+      .catch(err => console.error('⚠️ Unread count failed:', err.message))
+      .then(() => render(...args));
+  };
+  next();
 });
 
-// Create multer middleware
-const upload = multer({
-  storage,
-  limits: { fileSize: 524288000 }, // 500MB
-  fileFilter: (req, file, cb) => {
-    if (!file.mimetype.startsWith("image/")) {
-      return cb(new Error("Only image files are allowed!"));
-    }
-    cb(null, true);
+// Kapag naka reset: true ang account, kailangan munang palitan ang password bago gumamit ng iba
+app.use((req, res, next) => {
+  const allowed = ['/change-password', '/vvp/stop'];
+  if (req.session.user && req.session.user.reset && !req.session.impersonator && !allowed.includes(req.path)) {
+    return res.redirect('/change-password');
   }
+  next();
 });
 
-const cpUpload = upload.any();
-
-const photoStorage = new CloudinaryStorage({
-  cloudinary,
-  params: async (req, file) => ({
-    folder: 'audres25', // your folder in Cloudinary
-    resource_type: 'auto',
-    public_id: `${Date.now()}-${file.originalname}`
-  })
-});
-
-// Multer middleware for single file upload
-const uploadPhoto = multer({
-  storage: photoStorage,
-  limits: { fileSize: 524288000 }, // 500MB
+// Spreadsheet uploads (bulk import): sa memory lang, hindi na ipapadala sa Cloudinary
+const SPREADSHEET_MAX_SIZE = 10 * 1024 * 1024; // 10MB
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: SPREADSHEET_MAX_SIZE },
   fileFilter: (req, file, cb) => {
-    if (!file.mimetype.startsWith("image/")) {
-      return cb(new Error("Only image files allowed!"));
+    if (!/\.(xlsx|xls|csv)$/i.test(file.originalname)) {
+      return cb(new Error("Only XLSX, XLS or CSV files are allowed!"));
     }
     cb(null, true);
   }
@@ -235,8 +294,8 @@ function generatePassword() {
   const numbers = "0123456789";
   const symbols = "!@#$%^&*()_+-=[]{}";
 
-  // Ensure at least one of each
-  const pick = (str) => str[Math.floor(Math.random() * str.length)];
+  // Ensure at least one of each (crypto.randomInt, hindi Math.random, dahil temporary passwords ito)
+  const pick = (str) => str[crypto.randomInt(str.length)];
 
   let password = [
     pick(upper),
@@ -251,14 +310,28 @@ function generatePassword() {
     password.push(pick(all));
   }
 
-  // Shuffle for randomness
-  return password.sort(() => Math.random() - 0.5).join("");
+  // Shuffle for randomness (Fisher-Yates)
+  for (let i = password.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [password[i], password[j]] = [password[j], password[i]];
+  }
+  return password.join("");
+}
+
+// Fallback lang; ang upload routes ay may sariling error handling. Limit ayon sa field na lumampas.
+function uploadLimitOf(field) {
+  if (DOCUMENT_TYPES[field]) return DOCUMENT_TYPES[field].maxSize;
+  if (field === 'logo') return PHOTO_RULES.maxSize;
+  if (field === 'attachments') return ATTACHMENT_RULES.maxSize;
+  if (field === 'file') return SPREADSHEET_MAX_SIZE;
+  return null;
 }
 
 app.use((err, req, res, next) => {
   if (err.code === 'LIMIT_FILE_SIZE') {
-    return res.render('req', { 
-      error: 'Photo must not exceed 500MB!',
+    const limit = uploadLimitOf(err.field);
+    return res.status(413).render('index', {
+      error: limit ? `File must not exceed ${limit / (1024 * 1024)}MB.` : 'File is too large.',
       title: "AUDRESv25"
     });
   }
@@ -269,73 +342,9 @@ app.use((err, req, res, next) => {
 
 app.get('/', async (req, res) => {
   try {
-    async function ensureUserExists(username, role, password = 'all456', access = 1, custom = {}) {
-      // Determine email safely
-      const email = custom.email || `${(custom.lName || 'Santos').toLowerCase()}.au@phinmaed.com`;
-
-      // Check if user exists by username or email
-      let user = await users.findOne({
-        $or: [{ username }, { email }]
-      });
-
-      if (user) {
-        console.log(`User "${username}" already exists.`);
-        return user;
-      }
-
-      const baseData = {
-        fName: custom.fName || username,
-        mName: custom.mName || 'Reyes',
-        lName: custom.lName || 'Santos',
-        xName: custom.xName || 'III',
-        archive: custom.archive || false,
-        verify: false,
-        suspend: false,
-        email,
-        phone: custom.phone || '09001234567',
-        address: custom.address || 'Cabanatuan City',
-        bDay: custom.bDay || 1,
-        bMonth: custom.bMonth || 1,
-        bYear: custom.bYear || 2000,
-        campus: custom.campus || 'Main',
-        schoolId: custom.schoolId || '001',
-        yearLevel: custom.yearLevel || 'Second Year',
-        photo: custom.photo || '',
-        vId: custom.vId || '',
-        username,
-        password,
-        role,
-        access,
-        ...custom
-      };
-
-      const newUser = await users.create(baseData);
-      console.log(`✅ ${role} testing account "${username}" created!`);
-      return newUser;
-    }
-
-    await ensureUserExists('Head', 'Head', 'all456', 1);
-    await ensureUserExists('Dev', 'Dev', 'all456', 1, {
-      email: 'jnsantiago.au@phinmaed.com',
-      phone: '09296199578'
-    });
-    await ensureUserExists('Seed', 'Seed', 'all456', 1, {
-      email: 'registrar.au@phinmaed.com',
-      phone: '09386571406',
-      fName: 'Araullo',
-      lName: 'University',
-      archive: true
-    });
-
-    const ip =
-      req.headers['x-forwarded-for']?.split(',')[0].trim() ||
-      req.socket.remoteAddress;
-
-    await Log.create({
-      who: 'NEW VISIT',
-      what: `Someone visited the site with an IP Address of ${ip}`,
-      ipAddress: ip,
-      device: req.headers['user-agent']
+    await audit(req, 'visit', `Someone visited the site with an IP Address of ${getIp(req)}`, {
+      actor: null,
+      who: 'NEW VISIT'
     });
 
     res.render('index', { title: 'AUDRESv25' });
@@ -346,58 +355,70 @@ app.get('/', async (req, res) => {
 });
 
 
-app.post('/login', async (req, res) => {
+app.post('/login', loginThrottle, async (req, res) => {
   const { username, password } = req.body;
 
   try {
     const user = await users.findOne({ username });
 
-    if (!user || user.password !== password) {
-      return res.render('index', { 
+    if (!user || !(await user.comparePassword(password))) {
+      await loginThrottle.recordFailure(req);
+      return res.render('index', {
         title: 'AUDRESv25',
         error: 'Invalid username or password',
         user: req.session.user || null
       });
     }
 
-    // Store user in session
-    req.session.user = user;
-
-       // ===== CREATE LOGIN LOG =====
-    const isWho = `${user.fName} ${user.mName} ${user.lName} ${user.xName}`;
-    await Log.create({
-      who: isWho,
-      what: 'Logged in'
-    });
-
-
-    if (user.access === 1) {
-  
-      const adminRoles = ["Admin", "Head", "Dev", "Seed"];
-
-      if (adminRoles.includes(user.role)) {
-        return res.redirect('/dsb');
+    await loginThrottle.recordSuccess(req);
 
-      } else if (user.role === "Registrar") {
-        return res.redirect('/dsb');
+    await user.liftExpiredSuspension();
+    if (user.isSuspended()) {
+      await audit(req, 'login_blocked', 'Tried to login while suspended', { actor: user, target: user });
+      return res.status(403).render('index', {
+        title: 'AUDRESv25',
+        error: 'Your account is suspended.',
+        suspension: { reason: user.suspendIs, until: user.suspendUntil }
+      });
+    }
 
-      } else if (user.role === "Accounting") {
-        return res.redirect('/trs');
+    // Members (access 0) na hindi pa verified o na-reject sa verification queue ay hindi pa makakapasok
+    if (user.access === 0 && !user.verify) {
+      const rejected = Boolean(user.unverifyAt);
+      await audit(req, 'login_blocked', rejected ? 'Tried to login after the registration was rejected' : 'Tried to login while waiting for verification', {
+        actor: user,
+        target: user
+      });
+      return res.status(403).render('index', {
+        title: 'AUDRESv25',
+        error: rejected
+          ? `Your registration was not approved${user.unverifyIs ? `: ${user.unverifyIs}` : '.'}`
+          : 'Your registration is still waiting for verification. We will email your login details once it is approved.'
+      });
+    }
 
-      } else {
-        return res.redirect('/');  // If access=1 but role does not match any
-      }
+    // Upgrade old plaintext accounts, pre-save hook na bahala mag-hash
+    if (!user.isPasswordHashed()) {
+      user.markModified('password');
+      await user.save();
+    }
 
-    } else if (user.access === 0) {
+    // Bagong session sa bawat login: walang maiiwang impersonator (o draft) ng naunang user sa browser na ito
+    await new Promise((resolve, reject) => req.session.regenerate(err => (err ? reject(err) : resolve())));
 
-      return res.redirect('/hom');
+    // Store user in session
+    req.session.user = user;
 
-    } else {
+    await audit(req, 'login', 'Logged in', { actor: user });
 
-      return res.redirect('/'); // Invalid access value
 
+    if (user.reset) {
+      req.session.warning = 'Please change your password before continuing.';
+      return res.redirect('/change-password');
     }
 
+    return res.redirect(landingFor(user));
+
   } catch (err) {
     console.error(err);
     return res.render('index', { 
@@ -408,41 +429,89 @@ app.post('/login', async (req, res) => {
   }
 });
 
-app.post('/vvp', async (req, res) => {
+// ================== DASHBOARDS ==================
+
+// Parehong view; ang sections na lalabas ay depende sa permissions ng role (see utils/dashboard SECTIONS)
+async function renderDashboard(req, res, { title, sections }) {
+  // Dev/Head lang ang pwedeng lumampas sa cache, para hindi ma-spam ang aggregations
+  const refresh = req.query.refresh === '1' && can(req.user, 'dashboard.refresh');
+  res.render('dsb', {
+    title,
+    sections: await dashboardFor(req.user, sections, { refresh }),
+    path: req.path,
+    cacheSeconds: DASHBOARD_CACHE_SECONDS,
+    loginDays: LOGIN_DAYS,
+    barChart,
+    lineChart,
+    dayjs
+  });
+}
+
+app.get('/dsb', isLogin, requirePermission('dashboard.view'), async (req, res) => {
+  await renderDashboard(req, res, { title: 'Dashboard', sections: ['reviews', 'users', 'logins', 'funnel'] });
+});
+
+app.get('/trs', isLogin, requirePermission('transactions.view'), async (req, res) => {
+  await renderDashboard(req, res, { title: 'Accounting Dashboard', sections: ['partners', 'funnel'] });
+});
+
+// ================== VIEW AS USER ==================
+
+// Only the real (not impersonated) identity decides kung pwede mag view-as
+const canImpersonate = (req) => can(req.session.impersonator || req.user, 'users.impersonate');
+
+app.get('/vvp', isLogin, async (req, res) => {
+  if (!canImpersonate(req)) {
+    return res.status(403).render('403', { title: 'Access Denied', permission: 'users.impersonate' });
+  }
+
+  const realUser = req.session.impersonator || req.user;
+  const accounts = (await users.find({ archive: false }, 'fName mName lName xName username role access verify')
+    .sort({ role: 1, lName: 1 })
+    .lean())
+    .filter(account => canImpersonateUser(realUser, account));
+
+  res.render('vvp', { title: 'View As User', accounts });
+});
+
+app.post('/vvp', isLogin, async (req, res) => {
     const { userId } = req.body;
 
     try {
+        if (!canImpersonate(req)) {
+            return res.status(403).render('403', { title: 'Access Denied', permission: 'users.impersonate' });
+        }
+
         const user = await users.findById(userId);
+        const realUser = req.session.impersonator || req.user;
+
+        if (!user || String(user._id) === String(realUser._id)) {
+            req.session.error = 'Choose another account to view as.';
+            return res.redirect('/vvp');
+        }
 
-        if (!user) {
-            return res.redirect('/vvp'); // or show error
+        if (!canImpersonateUser(realUser, user)) {
+            await audit(req, 'impersonate_denied', `Refused to impersonate ${fullName(user)} (${user.username}, ${user.role})`, {
+              target: user
+            });
+            req.session.error = 'You cannot view as an account with the same or higher access than yours.';
+            return res.redirect('/vvp');
+        }
+
+        // Keep the real identity so we can switch back later
+        if (!req.session.impersonator) {
+            const { _id, username, fName, mName, lName, xName, role, access, verify } = req.user;
+            req.session.impersonator = { _id, username, fName, mName, lName, xName, role, access, verify };
         }
 
         req.session.user = user; // override login
-               // ===== CREATE LOGIN LOG =====
-        const isWho = `${user.fName} ${user.mName} ${user.lName} ${user.xName}`;
-        await Log.create({
-          who: isWho,
-          what: 'Logged in'
+
+        await audit(req, 'impersonate_start', `Started impersonating ${fullName(user)} (${user.username}, ${user.role})`, {
+          actor: user,
+          target: user
         });
 
-        // Redirect like your original login logic
-        if (user.access === 1) {
-            const adminRoles = ["Admin", "Head", "Dev", "Seed"];
-
-            if (adminRoles.includes(user.role) || user.role === "Registrar") {
-                return res.redirect('/dsb');
-            } else if (user.role === "Accounting") {
-                return res.redirect('/trs');
-            } else {
-                return res.redirect('/');
-            }
-
-        } else if (user.access === 0) {
-            return res.redirect('/hom');
-        } else {
-            return res.redirect('/');
-        }
+        return res.redirect(landingFor(user));
 
     } catch (err) {
         console.error(err);
@@ -450,53 +519,2278 @@ app.post('/vvp', async (req, res) => {
     }
 });
 
-app.get('/template', async (req, res) => {
-  res.render('template');
+app.post('/vvp/stop', isLogin, async (req, res) => {
+  if (!req.session.impersonator) {
+    return res.redirect('/');
+  }
+
+  const realUser = await users.findById(req.session.impersonator._id);
+
+  await audit(req, 'impersonate_stop', `Stopped impersonating ${fullName(req.user)} (${req.user.username}, ${req.user.role})`, {
+    target: req.user
+  });
+
+  req.session.impersonator = null;
+
+  if (!realUser) {
+    return req.session.destroy(() => res.redirect('/'));
+  }
+
+  req.session.user = realUser;
+  req.session.success = `Welcome back, ${realUser.fName}!`;
+  res.redirect('/vvp');
 });
 
-app.get('/guide', async (req, res) => {
-  res.render('guide');
+// ================== LOCKOUTS ==================
+
+app.get('/lockouts', isLogin, requirePermission('lockouts.clear'), async (req, res) => {
+  const lockouts = await LoginAttempt.find({ lockedUntil: { $gt: new Date() } })
+    .sort({ lockedUntil: -1 })
+    .lean();
+
+  res.render('lockouts', { title: 'Lockouts', lockouts });
 });
 
-app.get('/in', async (req, res) => {
-  res.render('in');
+app.post('/lockouts/:username/clear', isLogin, requirePermission('lockouts.clear'), async (req, res) => {
+  const cleared = await loginThrottle.clearLockout(req.params.username);
+
+  if (cleared) {
+    await audit(req, 'lockout_clear', `Cleared login lockout of "${req.params.username}"`, {
+      meta: { username: req.params.username }
+    });
+    req.session.success = `Lockout of ${req.params.username} cleared.`;
+  } else {
+    req.session.warning = `${req.params.username} has no lockout to clear.`;
+  }
+
+  res.redirect('/lockouts');
 });
 
-app.get('/j', async (req, res) => {
-  res.render('j');
+// ================== PASSWORD RESET ==================
+
+const RESET_TOKEN_MINUTES = parseInt(process.env.RESET_TOKEN_MINUTES, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function passwordProblem(password, confirm) {
+  if (!password || password.length < 8) return 'Password must be at least 8 characters.';
+  if (password !== confirm) return 'Passwords do not match.';
+  return null;
+}
+
+app.get('/forgot', async (req, res) => {
+  res.render('forgot', { title: 'Forgot Password' });
 });
 
-app.get('/l', async (req, res) => {
-  res.render('l');
+app.post('/forgot', async (req, res) => {
+  const identifier = String(req.body.identifier || '').trim();
+  const ip = getIp(req);
+
+  // Same message kahit walang account, para hindi ma-guess kung sino ang registered
+  req.session.success = 'If an account matches, a reset link has been sent to its email.';
+
+  if (!identifier) {
+    return res.redirect('/forgot');
+  }
+
+  const user = await users.findOne({
+    $or: [{ username: identifier }, { email: identifier.toLowerCase() }]
+  });
+
+  if (!user) {
+    await audit(req, 'password_reset_request', `Password reset requested for unknown account "${identifier}" from IP Address ${ip}`, {
+      actor: null,
+      meta: { identifier }
+    });
+    return res.redirect('/forgot');
+  }
+
+  // Pending o rejected na registration: ang credentials ay galing lang sa approval email (see decideVerification)
+  if (user.access === 0 && !user.verify) {
+    await audit(req, 'password_reset_request', `Password reset refused, account is not verified (IP Address ${ip})`, {
+      actor: user,
+      target: user
+    });
+    return res.redirect('/forgot');
+  }
+
+  // One active token per user lang
+  await PasswordReset.deleteMany({ user: user._id, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await PasswordReset.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_MINUTES * 60000),
+    ipAddress: ip
+  });
+
+  const link = `${process.env.APP_URL || `${req.protocol}://${req.get('host')}`}/reset/${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'AGAPAY password reset',
+    text: `Hi ${user.fName},\n\nUse this link to reset your password. It expires in ${RESET_TOKEN_MINUTES} minutes and can only be used once:\n${link}\n\nIf you did not ask for this, you can ignore this email.`
+  });
+
+  await audit(req, 'password_reset_request', `Requested a password reset from IP Address ${ip}`, { actor: user, target: user });
+
+  res.redirect('/forgot');
 });
 
-app.get('/r', async (req, res) => {
-  res.render('r');
+// Hahanapin ang valid (hindi pa gamit, hindi pa expired) na token
+const findResetToken = (token) => PasswordReset.findOne({
+  tokenHash: hashToken(String(token)),
+  usedAt: null,
+  expiresAt: { $gt: new Date() }
 });
 
-app.get('/c', async (req, res) => {
-  res.render('c');
+app.get('/reset/:token', async (req, res) => {
+  const reset = await findResetToken(req.params.token);
+
+  if (!reset) {
+    req.session.error = 'This reset link is invalid or has expired.';
+    return res.redirect('/forgot');
+  }
+
+  res.render('reset', { title: 'Reset Password', action: `/reset/${req.params.token}` });
+});
+
+app.post('/reset/:token', async (req, res) => {
+  const reset = await findResetToken(req.params.token);
+
+  if (!reset) {
+    req.session.error = 'This reset link is invalid or has expired.';
+    return res.redirect('/forgot');
+  }
+
+  const problem = passwordProblem(req.body.password, req.body.confirm);
+  if (problem) {
+    return res.render('reset', { title: 'Reset Password', action: `/reset/${req.params.token}`, error: problem });
+  }
+
+  // I-claim muna ang token (atomic) para isang submit lang ang makapagpalit kahit sabay
+  const now = new Date();
+  const claimed = await PasswordReset.findOneAndUpdate({ _id: reset._id, usedAt: null, expiresAt: { $gt: now } }, { usedAt: now });
+  const user = claimed ? await users.findById(reset.user) : null;
+  if (!user) {
+    req.session.error = 'This reset link is invalid or has expired.';
+    return res.redirect('/forgot');
+  }
+
+  user.password = req.body.password;
+  user.reset = false;
+  await user.save();
+
+  // Logout sa lahat ng device, kasama ang session ng sinumang nakapasok gamit ang lumang password
+  await destroyUserSessions(user._id);
+
+  await audit(req, 'password_reset', `Completed a password reset from IP Address ${getIp(req)}`, { actor: user, target: user });
+
+  req.session.success = 'Password updated. You can now login.';
+  res.redirect('/');
 });
-app.get('/js1', async (req, res) => {
-  res.render('js1');
+
+// Hindi pwede habang naka "view as user": sariling password lang ang pwedeng palitan
+const notWhileImpersonating = (req, res, next) => {
+  if (!req.session.impersonator) return next();
+  req.session.error = 'You cannot change the password of an account you are viewing as. Switch back first.';
+  res.redirect(landingFor(req.user));
+};
+
+// Kailangan ang current password, maliban kung temporary password ang gamit (reset: true)
+const renderChange = (req, res, error) => res.status(error ? 422 : 200).render('change', {
+  title: 'Change Password',
+  action: '/change-password',
+  askCurrent: !req.user.reset,
+  error
+});
+
+app.get('/change-password', isLogin, notWhileImpersonating, async (req, res) => {
+  renderChange(req, res);
 });
-app.get('/js2', async (req, res) => {
-  res.render('js2');
+
+app.post('/change-password', isLogin, notWhileImpersonating, async (req, res) => {
+  if (!req.user.reset && !(await req.user.comparePassword(String(req.body.current || '')))) {
+    return renderChange(req, res, 'Your current password is incorrect.');
+  }
+
+  const problem = passwordProblem(req.body.password, req.body.confirm);
+  if (problem) return renderChange(req, res, problem);
+
+  if (await req.user.comparePassword(req.body.password)) {
+    return renderChange(req, res, 'Please choose a new password.');
+  }
+
+  req.user.password = req.body.password;
+  req.user.reset = false;
+  await req.user.save();
+
+  req.session.user = req.user;
+
+  await audit(req, 'password_change', 'Changed password', { target: req.user });
+
+  req.session.success = 'Password updated.';
+  res.redirect(landingFor(req.user));
 });
-app.get('/js3', async (req, res) => {
-  res.render('js3');
+
+// Admin reset: temporary password + reset flag para mapilitan magpalit sa next login
+app.post('/users/:id/reset-password', isLogin, requirePermission('users.reset'), async (req, res) => {
+  const user = await users.findById(req.params.id);
+
+  if (!user) {
+    req.session.error = 'Account not found.';
+    return res.redirect(req.get('Referrer') || '/');
+  }
+
+  const temporary = generatePassword();
+  user.password = temporary;
+  user.reset = true;
+  await user.save();
+  await destroyUserSessions(user._id); // lumang sessions ay hindi na valid
+
+  await sendMail({
+    to: user.email,
+    subject: 'AGAPAY temporary password',
+    text: `Hi ${user.fName},\n\nAn administrator reset your password.\nUsername: ${user.username}\nTemporary password: ${temporary}\n\nYou will be asked to change it the next time you login.`
+  });
+
+  await audit(req, 'password_admin_reset', `Reset the password of ${fullName(user)} (${user.username})`, { target: user });
+
+  req.session.success = `Temporary password sent to ${user.email}.`;
+  res.redirect(req.get('Referrer') || '/');
 });
-app.get('/js4', async (req, res) => {
-  res.render('js4');
+
+// ================== REGISTRATION WIZARD ==================
+
+const renderStep = async (req, res, step, errors = {}) => {
+  res.status(Object.keys(errors).length ? 422 : 200).render(step, {
+    title: 'Create Account',
+    draft: req.session.registration || {},
+    errors,
+    options: registration.options(await skillLists())
+  });
+};
+
+registration.ORDER.forEach(step => {
+  app.get(`/${step}`, async (req, res) => {
+    // Bawal lumaktaw: balik sa unang step na kulang pa
+    const draft = req.session.registration || {};
+    const allowed = registration.ORDER.indexOf(registration.firstIncompleteStep(draft));
+    if (registration.ORDER.indexOf(step) > allowed) {
+      return res.redirect(`/${registration.ORDER[allowed]}`);
+    }
+
+    await renderStep(req, res, step);
+  });
 });
-app.get('/js5', async (req, res) => {
-  res.render('js5');
+
+const saveStep = (step) => async (req, res) => {
+  const { fields, validate, next } = registration.STEPS[step];
+  const draft = req.session.registration || {};
+  const data = fields(req.body, req.files, draft);
+  const errors = validate(data);
+
+  if (req.uploadError) {
+    errors[req.uploadError.field || 'resume'] = req.uploadError.message;
+  }
+
+  if (step === 'js3' && !errors.email && await users.exists({ email: data.email })) {
+    errors.email = 'This email is already registered.';
+  }
+
+  // I-save pa rin ang na-type para hindi mawala pag nag-error
+  req.session.registration = { ...draft, ...data };
+
+  if (Object.keys(errors).length) {
+    return await renderStep(req, res, step, errors);
+  }
+
+  res.redirect(`/${next}`);
+};
+
+app.post('/js0', saveStep('js0'));
+app.post('/js1', saveStep('js1'));
+app.post('/js2', saveStep('js2'));
+app.post('/js3', saveStep('js3'));
+app.post('/js4', receiveDocuments(registration.STEPS.js4.documents), storeDocuments, saveStep('js4'));
+
+app.post('/js5', async (req, res) => {
+  const draft = req.session.registration || {};
+  const incomplete = registration.firstIncompleteStep(draft);
+
+  if (incomplete !== 'js5') {
+    return res.redirect(`/${incomplete}`);
+  }
+
+  if (await users.exists({ email: draft.email })) {
+    return await renderStep(req, res, 'js3', { email: 'This email is already registered.' });
+  }
+
+  // Username galing sa email; dagdagan ng number kapag may kapangalan na
+  const base = draft.email.split('@')[0].replace(/[^a-z0-9._]/gi, '').toLowerCase() || 'user';
+  let username = base;
+  for (let i = 1; await users.exists({ username }); i++) {
+    username = `${base}${i}`;
+  }
+
+  const user = await users.create({
+    fName: draft.fName,
+    mName: draft.mName,
+    lName: draft.lName,
+    xName: draft.xName,
+    email: draft.email,
+    phone: draft.phone,
+    course: draft.course,
+    yearGraduated: draft.yearGraduated,
+    workMode: draft.workMode,
+    skills: await canonicalSkills(draft.skills),
+    softSkills: await canonicalSkills(draft.softSkills),
+    experience: draft.experience,
+    availability: draft.availability,
+    role: 'Alumni',
+    access: 0,
+    verify: false,
+    username,
+    password: generatePassword()
+  });
+
+  // Unang version ng resume at diploma sa document vault
+  for (const [type, stored] of Object.entries(draft.uploads || {})) {
+    await saveDocument(user, type, stored, user._id);
+  }
+
+  await audit(req, 'register', `Registered as a job seeker (${user.username}), waiting for verification`, {
+    actor: user,
+    target: user
+  });
+
+  req.session.registration = null;
+  res.redirect('/js6');
 });
+
 app.get('/js6', async (req, res) => {
-  res.render('js6');
+  res.render('js6', { title: 'Registration Submitted' });
+});
+
+// ================== VERIFICATION QUEUE ==================
+
+// Approve: verify + bagong credentials (see /js6 promise). Reject: stamp unverifyAt/unverifyIs with reason.
+async function decideVerification(req, user, decision, reason) {
+  if (decision === 'approve') {
+    const temporary = generatePassword();
+    user.verify = true;
+    user.verifyAt = new Date();
+    user.unverifyAt = undefined;
+    user.unverifyIs = undefined;
+    user.password = temporary;
+    user.reset = true;
+    await user.save();
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your AGAPAY account is approved',
+      text: `Hi ${user.fName},\n\nYour registration has been approved.${reason ? `\nNote from our team: ${reason}` : ''}\n\nUsername: ${user.username}\nTemporary password: ${temporary}\n\nYou will be asked to change your password the first time you login.`
+    });
+
+    // Unang approved employer = verified na rin ang company niya
+    if (user.role === 'Employer' && user.company) {
+      await Company.updateOne({ _id: user.company, verified: false }, { verified: true, verifiedAt: new Date() });
+    }
+
+    await notify(user, 'account_verified', {
+      title: 'Your account is verified',
+      body: user.role === 'Employer' ? 'You can now post job offers.' : 'You can now apply to job offers.',
+      link: user.role === 'Employer' ? '/jobs/mine' : '/recommended'
+    });
+
+    await audit(req, 'verify', `Approved the account of ${fullName(user)} (${user.username})${reason ? `: ${reason}` : ''}`, {
+      target: user,
+      meta: { reason }
+    });
+  } else {
+    user.verify = false;
+    user.unverifyAt = new Date();
+    user.unverifyIs = reason;
+    await user.save();
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your AGAPAY registration needs attention',
+      text: `Hi ${user.fName},\n\nWe could not approve your registration.\nReason: ${reason}\n\nPlease contact us if you have questions.`
+    });
+
+    await audit(req, 'unverify', `Rejected the account of ${fullName(user)} (${user.username}): ${reason}`, {
+      target: user,
+      meta: { reason }
+    });
+  }
+}
+
+const verificationProblem = (decision, reason) => {
+  if (!['approve', 'reject'].includes(decision)) return 'Unknown action.';
+  if (decision === 'reject' && !reason) return 'Please give a reason for rejecting.';
+  return null;
+};
+
+app.get('/verifications', isLogin, requirePermission('users.verify'), async (req, res) => {
+  const pending = await users.find(users.pendingVerificationQuery()).sort({ createdAt: 1 }).populate('company', 'name').lean();
+
+  res.render('verifications', { title: 'Verification Queue', pending, dayjs });
+});
+
+app.post('/verifications/bulk', isLogin, requirePermission('users.verify'), async (req, res) => {
+  const ids = [].concat(req.body.ids || []);
+  const { decision } = req.body;
+  const reason = String(req.body.reason || '').trim();
+  const problem = ids.length ? verificationProblem(decision, reason) : 'Select at least one account.';
+
+  if (problem) {
+    req.session.error = problem;
+    return res.redirect('/verifications');
+  }
+
+  const accounts = await users.find({ _id: { $in: ids }, verify: false });
+  for (const user of accounts) {
+    await decideVerification(req, user, decision, reason);
+  }
+
+  req.session.success = `${accounts.length} account(s) ${decision === 'approve' ? 'approved' : 'rejected'}.`;
+  res.redirect('/verifications');
+});
+
+app.post('/verifications/:id/:decision', isLogin, requirePermission('users.verify'), async (req, res) => {
+  const { decision } = req.params;
+  const reason = String(req.body.reason || '').trim();
+  const problem = verificationProblem(decision, reason);
+
+  if (problem) {
+    req.session.error = problem;
+    return res.redirect('/verifications');
+  }
+
+  const user = await users.findById(req.params.id);
+  if (!user || user.verify) {
+    req.session.warning = 'This account is no longer pending.';
+    return res.redirect('/verifications');
+  }
+
+  await decideVerification(req, user, decision, reason);
+
+  req.session.success = `${fullName(user)} ${decision === 'approve' ? 'approved' : 'rejected'}.`;
+  res.redirect('/verifications');
+});
+
+// ================== SUSPENSIONS ==================
+
+app.get('/suspensions', isLogin, requirePermission('users.suspend'), async (req, res) => {
+  const search = String(req.query.q || '').trim();
+  const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  const suspended = await users.find({ suspend: true })
+    .sort({ suspendAt: -1 })
+    .lean();
+
+  const results = search
+    ? await users.find({
+        $or: ['username', 'email', 'fName', 'lName'].map(field => ({ [field]: new RegExp(escaped, 'i') }))
+      }).limit(20).lean()
+    : [];
+
+  res.render('suspensions', { title: 'Suspensions', suspended, results, search, dayjs });
+});
+
+app.get('/users/:id/suspension', isLogin, requirePermission('users.suspend'), async (req, res) => {
+  const account = await users.findById(req.params.id);
+
+  if (!account) {
+    req.session.error = 'Account not found.';
+    return res.redirect('/suspensions');
+  }
+
+  await account.liftExpiredSuspension();
+
+  res.render('suspension', { title: 'Suspension', account, dayjs });
+});
+
+app.post('/users/:id/suspend', isLogin, requirePermission('users.suspend'), async (req, res) => {
+  const account = await users.findById(req.params.id);
+  const reason = String(req.body.reason || '').trim();
+  const until = req.body.until ? dayjs(req.body.until).endOf('day').toDate() : null;
+
+  if (!account) {
+    req.session.error = 'Account not found.';
+    return res.redirect('/suspensions');
+  }
+  if (!reason) {
+    req.session.error = 'Please give a reason for the suspension.';
+    return res.redirect(`/users/${account._id}/suspension`);
+  }
+  if (until && until <= new Date()) {
+    req.session.error = 'End date must be in the future.';
+    return res.redirect(`/users/${account._id}/suspension`);
+  }
+  if (String(account._id) === String(req.user._id)) {
+    req.session.error = 'You cannot suspend your own account.';
+    return res.redirect(`/users/${account._id}/suspension`);
+  }
+
+  account.suspendAccount({ reason, until, by: req.user._id, byName: whoIs(req) });
+  await account.save();
+
+  const killed = await destroyUserSessions(account._id);
+
+  await audit(req, 'suspend', `Suspended ${fullName(account)} (${account.username}) ${until ? `until ${dayjs(until).format('MMM D, YYYY')}` : 'indefinitely'}: ${reason}`, {
+    target: account,
+    meta: { reason, until, sessionsEnded: killed }
+  });
+
+  req.session.success = `${fullName(account)} suspended. ${killed} active session(s) ended.`;
+  res.redirect(`/users/${account._id}/suspension`);
 });
-app.get('/js0', async (req, res) => {
-  res.render('js0');
+
+app.post('/users/:id/reinstate', isLogin, requirePermission('users.suspend'), async (req, res) => {
+  const account = await users.findById(req.params.id);
+
+  if (!account) {
+    req.session.error = 'Account not found.';
+    return res.redirect('/suspensions');
+  }
+  if (!account.suspend) {
+    req.session.warning = 'This account is not suspended.';
+    return res.redirect(`/users/${account._id}/suspension`);
+  }
+
+  const reason = String(req.body.reason || '').trim();
+  account.reinstate({ byName: whoIs(req), reason });
+  await account.save();
+
+  await audit(req, 'reinstate', `Reinstated ${fullName(account)} (${account.username})${reason ? `: ${reason}` : ''}`, {
+    target: account,
+    meta: { reason }
+  });
+
+  req.session.success = `${fullName(account)} reinstated.`;
+  res.redirect(`/users/${account._id}/suspension`);
+});
+
+// ================== LOGS ==================
+
+app.get('/logs', isLogin, requirePermission('logs.view'), isLog, async (req, res) => {
+  res.render('logs', { title: 'Logs' });
+});
+
+app.get('/api/logs', isLogin, requirePermission('logs.view'), isLog, async (req, res) => {
+  res.json({
+    logs: req.logs,
+    nextCursor: req.logPage.nextCursor,
+    filters: req.logPage.filters
+  });
+});
+
+const LOG_EXPORT_LIMIT = 50000;
+
+app.get('/logs/export', isLogin, requirePermission('logs.view'), async (req, res) => {
+  const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+
+  // Isa pang dagdag para malaman kung lampas; hindi nagpapadala ng putol na export
+  const logs = await Log.find(isLog.buildLogQuery(req.query))
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(LOG_EXPORT_LIMIT + 1)
+    .lean();
+
+  if (logs.length > LOG_EXPORT_LIMIT) {
+    const filters = new URLSearchParams(Object.entries(req.query).filter(([key, value]) => key !== 'format' && typeof value === 'string' && value));
+    req.session.error = `More than ${LOG_EXPORT_LIMIT.toLocaleString()} logs match these filters. Narrow the date range or filters, then export again.`;
+    return res.redirect(`/logs?${filters}`);
+  }
+
+  const rows = logs.map(log => ({
+    Date: dayjs(log.createdAt).format('YYYY-MM-DD HH:mm:ss'),
+    Who: log.who,
+    Action: log.action || '',
+    What: log.what,
+    'IP Address': log.ipAddress || '',
+    'User Agent': log.userAgent || '',
+    Target: log.target ? `${log.targetModel || ''} ${log.target}`.trim() : ''
+  }));
+
+  sendSheet(res, rows, {
+    format,
+    filename: `logs-${dayjs().format('YYYYMMDD-HHmmss')}`,
+    sheetName: 'Logs',
+    header: ['Date', 'Who', 'Action', 'What', 'IP Address', 'User Agent', 'Target']
+  });
+});
+
+// ================== BULK USER IMPORT ==================
+
+app.get('/imports/users', isLogin, requirePermission('users.import'), async (req, res) => {
+  const batches = await ImportBatch.find({}, 'filename summary status createdAt createdCount')
+    .sort({ createdAt: -1 })
+    .limit(20)
+    .lean();
+
+  res.render('imports', { title: 'Import Users', batches, batch: null, columns: userImport.COLUMN_ALIASES, dayjs });
+});
+
+app.post('/imports/users', isLogin, requirePermission('users.import'), (req, res, next) => {
+  spreadsheetUpload.single('file')(req, res, (err) => {
+    if (err) {
+      req.session.error = err.code === 'LIMIT_FILE_SIZE' ? 'Spreadsheet must not exceed 10MB!' : err.message;
+      return res.redirect('/imports/users');
+    }
+    next();
+  });
+}, async (req, res) => {
+  if (!req.file) {
+    req.session.error = 'Please choose a spreadsheet to upload.';
+    return res.redirect('/imports/users');
+  }
+
+  let parsed;
+  try {
+    parsed = userImport.parseSheet(req.file.buffer);
+  } catch (err) {
+    req.session.error = 'We could not read that spreadsheet.';
+    return res.redirect('/imports/users');
+  }
+
+  if (!parsed.rows.length) {
+    req.session.error = 'The spreadsheet has no rows.';
+    return res.redirect('/imports/users');
+  }
+  if (parsed.rows.length > userImport.MAX_ROWS) {
+    req.session.error = `The spreadsheet has ${parsed.rows.length} rows. Split it into files of up to ${userImport.MAX_ROWS} rows and import each one.`;
+    return res.redirect('/imports/users');
+  }
+
+  const { rows, summary } = await userImport.validateRows(parsed.rows);
+
+  const batch = await ImportBatch.create({
+    uploadedBy: req.user._id,
+    filename: req.file.originalname,
+    columns: parsed.columns,
+    rows,
+    summary
+  });
+
+  res.redirect(`/imports/users/${batch._id}`);
+});
+
+app.get('/imports/users/:id', isLogin, requirePermission('users.import'), async (req, res) => {
+  const batch = await ImportBatch.findById(req.params.id).lean();
+
+  if (!batch) {
+    req.session.error = 'Import not found or already expired.';
+    return res.redirect('/imports/users');
+  }
+
+  res.render('imports', { title: 'Import Users', batches: [], batch, columns: userImport.COLUMN_ALIASES, dayjs });
+});
+
+// Gumawa ng accounts mula sa naka-claim na batch at i-download ang credentials sheet
+async function importBatch(req, res, batch) {
+  // Validate ulit, baka may nag-register na habang naka-dry run
+  const { rows, summary } = await userImport.validateRows(batch.rows.map(({ row, data }) => ({ row, data: { ...data } })));
+  const credentials = [];
+
+  for (const { row, data, status, problems } of rows) {
+    if (status !== 'ok') {
+      credentials.push({ Row: row, Name: [data.fName, data.lName].filter(Boolean).join(' '), Email: data.email || '', Username: '', Password: '', Status: problems.join('; ') });
+      continue;
+    }
+
+    const password = generatePassword();
+    try {
+      await users.create({
+        ...data,
+        password,
+        access: 0,
+        verify: true,
+        verifyAt: new Date(),
+        reset: true
+      });
+      credentials.push({ Row: row, Name: `${data.fName} ${data.lName}`, Email: data.email, Username: data.username, Password: password, Status: 'Created' });
+    } catch (err) {
+      summary.ok--;
+      summary.errors++;
+      credentials.push({ Row: row, Name: `${data.fName} ${data.lName}`, Email: data.email, Username: '', Password: '', Status: err.code === 11000 ? 'Duplicate email or username' : err.message });
+    }
+  }
+
+  batch.rows = rows;
+  batch.summary = summary;
+  batch.status = 'imported';
+  batch.importedAt = new Date();
+  batch.createdCount = summary.ok;
+  await batch.save();
+
+  await audit(req, 'import', `Imported ${summary.ok} account(s) from ${batch.filename} (${summary.errors + summary.duplicates} skipped)`, {
+    target: batch,
+    meta: { summary }
+  });
+
+  // Credentials sheet: hindi sine-save ang plaintext passwords, ngayon lang ito makukuha
+  sendSheet(res, credentials, {
+    format: 'xlsx',
+    filename: `credentials-${dayjs().format('YYYYMMDD-HHmmss')}`,
+    sheetName: 'Credentials'
+  });
+}
+
+app.post('/imports/users/:id/confirm', isLogin, requirePermission('users.import'), async (req, res) => {
+  // I-claim muna: kapag na-double submit o sabay na nag-confirm, isa lang ang gagawa ng accounts
+  const batch = mongoose.isValidObjectId(req.params.id)
+    ? await ImportBatch.findOneAndUpdate({ _id: req.params.id, status: 'pending' }, { status: 'importing' }, { new: true })
+    : null;
+
+  if (!batch) {
+    req.session.error = 'This import is no longer pending.';
+    return res.redirect('/imports/users');
+  }
+
+  try {
+    await importBatch(req, res, batch);
+  } catch (err) {
+    // Ibalik sa pending; ang na-create na ay lalabas na duplicate sa susunod na confirm
+    await ImportBatch.updateOne({ _id: batch._id, status: 'importing' }, { status: 'pending' });
+    throw err;
+  }
+});
+
+// ================== ROSTER EXPORT ==================
+
+app.get('/exports/users', isLogin, requirePermission('users.export'), async (req, res) => {
+  res.render('exports', {
+    title: 'Export Roster',
+    options: await rosterExport.filterOptions(),
+    fields: rosterExport.EXPORT_FIELDS,
+    defaults: rosterExport.DEFAULT_FIELDS
+  });
+});
+
+app.get('/exports/users/download', isLogin, requirePermission('users.export'), async (req, res) => {
+  const format = ['xlsx', 'csv', 'json'].includes(req.query.format) ? req.query.format : 'xlsx';
+  const fields = rosterExport.pickFields(req.query.fields);
+  const rows = await rosterExport.rosterRows(req.query, fields);
+
+  await audit(req, 'export', `Exported ${rows.length} user(s) as ${format.toUpperCase()}`, {
+    meta: { filters: rosterExport.buildRosterQuery(req.query), fields }
+  });
+
+  sendSheet(res, rows, {
+    format,
+    filename: `roster-${dayjs().format('YYYYMMDD-HHmmss')}`,
+    sheetName: 'Roster',
+    header: fields
+  });
+});
+
+// ================== JOB POSTINGS ==================
+
+const jobOptions = () => ({
+  employmentTypes: Job.EMPLOYMENT_TYPES,
+  educationLevels: Job.EDUCATION_LEVELS,
+  workModes: Job.WORK_MODES,
+  experienceLevels: Job.EXPERIENCE_LEVELS
+});
+
+// Form -> Job fields; blangko = undefined para gumana ang defaults/validation
+function jobFields(body) {
+  const text = (value) => String(value || '').trim() || undefined;
+  const number = (value) => (String(value || '').trim() === '' ? undefined : Number(value));
+  const date = (value) => (value ? dayjs(value).toDate() : undefined);
+
+  return {
+    title: text(body.title),
+    company: text(body.company),
+    location: text(body.location),
+    employmentType: text(body.employmentType),
+    education: text(body.education),
+    workMode: text(body.workMode),
+    experienceLevel: text(body.experienceLevel),
+    description: text(body.description),
+    skills: [].concat(body.skills || []).map(text).filter(Boolean),
+    softSkills: [].concat(body.softSkills || []).map(text).filter(Boolean),
+    salaryMin: number(body.salaryMin),
+    salaryMax: number(body.salaryMax),
+    openAt: date(body.openAt) || new Date(),
+    closeAt: date(body.closeAt) ? dayjs(body.closeAt).endOf('day').toDate() : undefined,
+    status: body.status === 'draft' ? 'draft' : 'open'
+  };
+}
+
+const renderJobForm = async (res, job, errors = {}) => {
+  const skills = await skillLists();
+  res.status(Object.keys(errors).length ? 422 : 200).render('jobForm', {
+    title: job._id && !job.isNew ? 'Edit Job Posting' : 'New Job Posting',
+    job,
+    errors,
+    options: { ...jobOptions(), technicalSkills: skills.technical, softSkills: skills.soft },
+    dayjs
+  });
+};
+
+const validationErrors = (err) =>
+  Object.fromEntries(Object.entries(err.errors || {}).map(([field, error]) => [field, error.message]));
+
+// Sariling postings lang ang pwedeng galawin, maliban kung may jobs.manage_all
+async function findManagedJob(req, res) {
+  const job = mongoose.isValidObjectId(req.params.id) ? await Job.findById(req.params.id) : null;
+  const ownsIt = job && (String(job.postedBy) === String(req.user._id) || can(req.user, 'jobs.manage_all'));
+
+  if (!ownsIt) {
+    req.session.error = 'Job posting not found.';
+    res.redirect('/jobs/mine');
+    return null;
+  }
+  return job;
+}
+
+app.get('/jobs/mine', isLogin, requirePermission('jobs.manage'), async (req, res) => {
+  const filter = can(req.user, 'jobs.manage_all') && req.query.all === '1' ? {} : { postedBy: req.user._id };
+  const jobs = await Job.find(filter).sort({ createdAt: -1 }).lean();
+
+  const counts = await Application.aggregate([
+    { $match: { job: { $in: jobs.map(job => job._id) } } },
+    { $group: { _id: '$job', count: { $sum: 1 } } }
+  ]);
+  const applicants = Object.fromEntries(counts.map(({ _id, count }) => [String(_id), count]));
+
+  res.render('jobs', { title: 'My Job Postings', jobs, applicants, dayjs });
+});
+
+app.get('/jobs/new', isLogin, requirePermission('jobs.manage'), requireVerifiedCompany, async (req, res) => {
+  await renderJobForm(res, new Job());
+});
+
+// Employers: kailangang verified ang company bago makagawa o makapag-edit ng postings
+async function requireVerifiedCompany(req, res, next) {
+  if (req.user.role !== 'Employer') return next();
+  if (await Company.exists({ _id: req.user.company, verified: true })) return next();
+
+  req.session.error = 'Your company is still waiting for verification. You can post jobs once it is approved.';
+  res.redirect('/jobs/mine');
+}
+
+// Employers always post under their own company; staff can type any company (linked kapag may kapangalan)
+async function withCompany(user, fields) {
+  if (user.role === 'Employer') {
+    const company = await Company.findById(user.company);
+    return { ...fields, company: company ? company.name : undefined, companyId: company ? company._id : undefined };
+  }
+  const escaped = String(fields.company || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const company = fields.company ? await Company.findOne({ name: new RegExp(`^${escaped}$`, 'i') }) : null;
+  return { ...fields, companyId: company ? company._id : undefined };
+}
+
+// Bagong bukas na job => notify ang mga verified job seeker na mataas ang match (sa background, hindi hinihintay)
+function notifyMatchingSeekers(job) {
+  (async () => {
+    const index = await skillIndex();
+    const seekers = await users.find(
+      { role: { $in: ['Student', 'Alumni', 'Former'] }, verify: true, archive: false },
+      'skills softSkills workMode experience course notificationPrefs'
+    ).lean();
+
+    const recipients = seekers
+      .map(seeker => ({ user: seeker, match: scoreMatch(seeker, job, index) }))
+      .filter(({ match }) => match.score >= JOB_MATCH_THRESHOLD)
+      .map(({ user, match }) => ({
+        user,
+        content: {
+          title: `New job match: ${job.title}`,
+          body: `${job.company} • ${match.score}% match`,
+          link: `/jobs/${job._id}`,
+          meta: { job: job._id, score: match.score }
+        }
+      }));
+
+    const sent = await notifyMany('job_match', recipients);
+    if (sent) console.log(`🔔 Notified ${sent} matching seeker(s) about "${job.title}"`);
+  })().catch(err => console.error('⚠️ Job match notifications failed:', err));
+}
+
+// Form -> fields na ise-save: canonical skill names + company link
+async function postingFields(user, body) {
+  const fields = jobFields(body);
+  const index = await skillIndex();
+  return withCompany(user, {
+    ...fields,
+    skills: canonicalize(fields.skills, index),
+    softSkills: canonicalize(fields.softSkills, index)
+  });
+}
+
+app.post('/jobs', isLogin, requirePermission('jobs.manage'), requireVerifiedCompany, async (req, res) => {
+  const job = new Job({ ...(await postingFields(req.user, req.body)), postedBy: req.user._id });
+
+  try {
+    await job.save();
+  } catch (err) {
+    if (err.name !== 'ValidationError') throw err;
+    return await renderJobForm(res, job, validationErrors(err));
+  }
+
+  await audit(req, 'job_create', `Posted "${job.title}" at ${job.company}`, { target: job });
+  if (job.isOpen) notifyMatchingSeekers(job);
+
+  req.session.success = job.status === 'draft' ? 'Draft saved.' : 'Job posted.';
+  res.redirect('/jobs/mine');
+});
+
+app.get('/jobs/:id', async (req, res) => {
+  const job = mongoose.isValidObjectId(req.params.id) ? await Job.findById(req.params.id).lean() : null;
+
+  // Drafts at postings ng hindi pa verified na company: ang nag-post lang ang nakakakita
+  const isOwner = Boolean(job && req.session.user && String(job.postedBy) === String(req.session.user._id));
+  const hidden = job && (job.status === 'draft' || (job.companyId && !(await Company.exists({ _id: job.companyId, verified: true }))));
+  if (!job || (hidden && !isOwner)) {
+    res.status(404);
+    return res.render('index', { title: 'Invalid URL', error: 'Job posting not found.' });
+  }
+
+  // Para makita ng applicant kung naka-apply na siya at gaano siya ka-match
+  const application = req.session.user
+    ? await Application.findOne({ job: job._id, applicant: req.session.user._id }).lean()
+    : null;
+  const seeker = can(req.session.user, 'jobs.apply') ? await users.findById(req.session.user._id).lean() : null;
+  const match = seeker ? scoreMatch(seeker, job, await skillIndex()) : null;
+
+  res.render('job', { title: job.title, job, application, match, dayjs });
+});
+
+app.get('/jobs/:id/edit', isLogin, requirePermission('jobs.manage'), requireVerifiedCompany, async (req, res) => {
+  const job = await findManagedJob(req, res);
+  if (job) await renderJobForm(res, job);
+});
+
+app.post('/jobs/:id', isLogin, requirePermission('jobs.manage'), requireVerifiedCompany, async (req, res) => {
+  const job = await findManagedJob(req, res);
+  if (!job) return;
+
+  const wasOpen = job.isOpen;
+  const fields = await postingFields(req.user, req.body);
+  // Closed postings stay closed; gamitin ang duplicate para mag-repost
+  if (job.status === 'closed') delete fields.status;
+  job.set(fields);
+
+  try {
+    await job.save();
+  } catch (err) {
+    if (err.name !== 'ValidationError') throw err;
+    return await renderJobForm(res, job, validationErrors(err));
+  }
+
+  await audit(req, 'job_update', `Edited "${job.title}" at ${job.company}`, { target: job });
+  if (!wasOpen && job.isOpen) notifyMatchingSeekers(job);
+
+  req.session.success = 'Job posting updated.';
+  res.redirect('/jobs/mine');
+});
+
+app.post('/jobs/:id/close', isLogin, requirePermission('jobs.manage'), async (req, res) => {
+  const job = await findManagedJob(req, res);
+  if (!job) return;
+
+  job.status = 'closed';
+  job.closedAt = new Date();
+  await job.save();
+
+  await audit(req, 'job_close', `Closed "${job.title}" at ${job.company}`, { target: job });
+
+  req.session.success = `"${job.title}" is now closed.`;
+  res.redirect('/jobs/mine');
+});
+
+app.post('/jobs/:id/duplicate', isLogin, requirePermission('jobs.manage'), requireVerifiedCompany, async (req, res) => {
+  const job = await findManagedJob(req, res);
+  if (!job) return;
+
+  const { _id, createdAt, updatedAt, closedAt, closeAt, openAt, status, postedBy, ...fields } = job.toObject();
+  const copy = await Job.create({ ...fields, title: `${fields.title} (Copy)`, status: 'draft', postedBy: req.user._id });
+
+  await audit(req, 'job_create', `Duplicated "${job.title}" as a new draft`, { target: copy, meta: { from: job._id } });
+
+  req.session.success = 'Copy saved as a draft. Review it before posting.';
+  res.redirect(`/jobs/${copy._id}/edit`);
+});
+
+// ================== DOCUMENT VAULT ==================
+
+// Bagong version ng document + i-update ang shortcut field sa users (resume, diploma, vId)
+async function saveDocument(user, type, stored, uploadedBy) {
+  const document = await Document.findOne({ user: user._id, type }) || new Document({ user: user._id, type });
+  document.addVersion(stored, uploadedBy);
+  await document.save();
+
+  const { userField } = DOCUMENT_TYPES[type];
+  if (userField) {
+    await users.updateOne({ _id: user._id }, { [userField]: document.versionPath() });
+  }
+  return document;
+}
+
+// Owner, reviewers, at employers na may application galing sa owner ang pwedeng tumingin
+async function canViewDocument(viewer, document) {
+  if (String(document.user) === String(viewer._id)) return true;
+  if (can(viewer, 'users.verify') || can(viewer, 'jobs.manage_all')) return true;
+  if (!can(viewer, 'jobs.manage')) return false;
+
+  const jobs = await Job.find({ postedBy: viewer._id }).distinct('_id');
+  return Boolean(await Application.exists({ applicant: document.user, job: { $in: jobs } }));
+}
+
+// Mga version number ng document na naka-snapshot sa applications ng owner (resume/diploma links)
+async function referencedVersions(document) {
+  const prefix = `/documents/${document._id}/versions/`;
+  const applications = await Application.find({
+    applicant: document.user,
+    $or: [{ 'snapshot.resume': { $regex: `^${prefix}` } }, { 'snapshot.diploma': { $regex: `^${prefix}` } }]
+  }, 'snapshot.resume snapshot.diploma').lean();
+
+  const links = applications.flatMap(({ snapshot }) => [snapshot.resume, snapshot.diploma]);
+  return [...new Set(links.filter(link => link && link.startsWith(prefix)).map(link => Number(link.slice(prefix.length))))];
+}
+
+// Lahat ng slot, kahit wala pang upload (ang tinanggal na ay parang walang upload)
+async function documentSlots(userId) {
+  const documents = await Document.find({ user: userId, removedAt: null }).lean();
+  return Object.entries(DOCUMENT_TYPES).map(([type, rules]) => {
+    const document = documents.find(doc => doc.type === type) || null;
+    return {
+      type,
+      rules,
+      document,
+      current: document ? document.versions[document.versions.length - 1] : null,
+      lastReview: document && document.reviews.length ? document.reviews[document.reviews.length - 1] : null
+    };
+  });
+}
+
+app.get('/documents', isLogin, requirePermission('jobs.apply'), async (req, res) => {
+  res.render('documents', {
+    title: 'My Documents',
+    owner: req.user,
+    slots: await documentSlots(req.user._id),
+    reviewing: false,
+    errors: {},
+    dayjs
+  });
+});
+
+// Isang slot lang bawat upload: i-validate muna ang type, saka tanggapin ang file para lang doon
+const documentReceivers = Object.fromEntries(Object.keys(DOCUMENT_TYPES).map(type => [type, receiveDocuments([type])]));
+
+const receiveDocumentSlot = (req, res, next) => {
+  if (!Object.hasOwn(documentReceivers, req.params.type)) {
+    req.session.error = 'Unknown document type.';
+    return res.redirect('/documents');
+  }
+  documentReceivers[req.params.type](req, res, next);
+};
+
+app.post('/documents/:type', isLogin, requirePermission('jobs.apply'), receiveDocumentSlot, storeDocuments, async (req, res) => {
+  const { type } = req.params;
+  const file = req.files && req.files[type] && req.files[type][0];
+  if (req.uploadError || !file) {
+    return res.status(422).render('documents', {
+      title: 'My Documents',
+      owner: req.user,
+      slots: await documentSlots(req.user._id),
+      reviewing: false,
+      errors: { [type]: req.uploadError ? req.uploadError.message : 'Please choose a file.' },
+      dayjs
+    });
+  }
+
+  const document = await saveDocument(req.user, type, file.stored, req.user._id);
+
+  await audit(req, 'upload', `Uploaded ${DOCUMENT_TYPES[type].label} (version ${document.current.version})`, {
+    target: document,
+    meta: { type, mime: file.stored.mime, size: file.stored.size }
+  });
+
+  req.session.success = `${DOCUMENT_TYPES[type].label} uploaded. It will be reviewed again.`;
+  res.redirect('/documents');
+});
+
+app.get('/documents/:id/versions/:version', isLogin, async (req, res) => {
+  const document = mongoose.isValidObjectId(req.params.id) ? await Document.findById(req.params.id) : null;
+  const version = document && document.versions.find(item => item.version === Number(req.params.version));
+
+  if (!version || !(await canViewDocument(req.user, document))) {
+    res.status(404);
+    return res.render('index', { title: 'Invalid URL', error: 'Document not found.' });
+  }
+
+  // Fresh signed URL bawat bukas; mga lumang upload ay diretsong URL pa
+  res.redirect(version.key ? storage.fileUrl(version) : version.url);
+});
+
+app.post('/documents/:type/remove', isLogin, requirePermission('jobs.apply'), async (req, res) => {
+  const { type } = req.params;
+  const document = DOCUMENT_TYPES[type] ? await Document.findOne({ user: req.user._id, type, removedAt: null }) : null;
+
+  if (!document) {
+    req.session.error = 'Document not found.';
+    return res.redirect('/documents');
+  }
+
+  // Kung may application na gumagamit pa ng version, itago lang ang slot at iwan ang mga file na iyon
+  const keep = await referencedVersions(document);
+  if (keep.length) {
+    await document.retire(keep);
+  } else {
+    await document.deleteOne(); // kasama ang files sa storage (see model/document)
+  }
+
+  const { userField, label } = DOCUMENT_TYPES[type];
+  if (userField) {
+    await users.updateOne({ _id: req.user._id }, { $unset: { [userField]: 1 } });
+  }
+
+  await audit(req, 'document_remove', `Removed ${label} (${document.versions.length} version(s))`, { meta: { type } });
+
+  req.session.success = `${label} removed.`;
+  res.redirect('/documents');
+});
+
+app.get('/users/:id/documents', isLogin, requirePermission('users.verify'), async (req, res) => {
+  const owner = mongoose.isValidObjectId(req.params.id) ? await users.findById(req.params.id).lean() : null;
+  if (!owner) {
+    req.session.error = 'User not found.';
+    return res.redirect('/verifications');
+  }
+
+  res.render('documents', {
+    title: `Documents of ${fullName(owner)}`,
+    owner,
+    slots: await documentSlots(owner._id),
+    reviewing: true,
+    statuses: REVIEW_STATUSES,
+    errors: {},
+    dayjs
+  });
+});
+
+app.post('/documents/:id/review', isLogin, requirePermission('users.verify'), async (req, res) => {
+  const document = mongoose.isValidObjectId(req.params.id) ? await Document.findById(req.params.id).populate('user') : null;
+  if (!document) {
+    req.session.error = 'Document not found.';
+    return res.redirect('/verifications');
+  }
+
+  const status = String(req.body.status || '');
+  const comment = String(req.body.comment || '').trim();
+  const back = `/users/${document.user._id}/documents`;
+
+  if (!REVIEW_STATUSES.includes(status)) {
+    req.session.error = 'Invalid review status.';
+    return res.redirect(back);
+  }
+  if (status === 'needs_resubmission' && !comment) {
+    req.session.error = 'Please tell the applicant what to fix.';
+    return res.redirect(back);
+  }
+
+  document.review({ status, comment, by: req.user._id, byName: fullName(req.user) });
+  await document.save();
+
+  const { label } = DOCUMENT_TYPES[document.type];
+  await audit(req, 'document_review', `Marked ${fullName(document.user)}'s ${label} as ${status.replace('_', ' ')}`, {
+    target: document,
+    meta: { status, comment, version: document.current.version }
+  });
+
+  if (status === 'needs_resubmission') {
+    await notify(document.user, 'document_resubmission', {
+      title: `Please upload your ${label} again`,
+      body: comment,
+      link: '/documents',
+      meta: { document: document._id }
+    });
+  }
+
+  req.session.success = `${label} marked as ${status.replace('_', ' ')}.`;
+  res.redirect(back);
+});
+
+// Files ng local storage driver; private files kailangan ng signed URL (see utils/storage)
+app.get(`${storage.LOCAL_ROUTE}/*key`, async (req, res) => {
+  const key = [].concat(req.params.key).join('/');
+  const local = storage.driverFor('local');
+
+  if (!/^(public|private)\//.test(key) || key.split('/').includes('..')) {
+    return res.status(404).end();
+  }
+  if (!local.verify(key, req.query)) {
+    res.status(403);
+    return res.render('index', { title: 'Access Denied', error: 'This link has expired.' });
+  }
+
+  // Explicit na Content-Type; kapag hindi PDF/JPG/PNG, download lang para hindi ma-render sa origin natin
+  const type = local.contentType(key);
+  res.set('X-Content-Type-Options', 'nosniff');
+  if (!type) res.attachment(path.basename(key));
+  res.type(type || 'application/octet-stream'); // pagkatapos ng attachment(), na nagse-set din ng type galing sa extension
+  res.sendFile(local.path(key), (err) => {
+    if (err && !res.headersSent) res.status(404).end();
+  });
+});
+
+// ================== APPLICATIONS ==================
+
+app.post('/jobs/:id/apply', isLogin, requirePermission('jobs.apply'), async (req, res) => {
+  const job = mongoose.isValidObjectId(req.params.id) ? await Job.findOne({ _id: req.params.id, ...(await Job.publicQuery()) }) : null;
+
+  if (!job) {
+    req.session.error = 'This job is no longer accepting applications.';
+    return res.redirect('/j');
+  }
+
+  if (await Application.exists({ job: job._id, applicant: req.user._id })) {
+    req.session.warning = 'You already applied to this job.';
+    return res.redirect('/applications');
+  }
+
+  const user = req.user;
+  const application = new Application({
+    job: job._id,
+    applicant: user._id,
+    companyId: job.companyId,
+    snapshot: {
+      name: fullName(user),
+      email: user.email,
+      phone: user.phone,
+      course: user.course,
+      yearGraduated: user.yearGraduated,
+      workMode: user.workMode,
+      skills: user.skills,
+      softSkills: user.softSkills,
+      experience: user.experience,
+      resume: user.resume,
+      diploma: user.diploma
+    },
+    coverLetter: String(req.body.coverLetter || '').trim()
+  });
+  application.history.push({ to: application.status, by: user._id, byName: fullName(user) });
+
+  try {
+    await application.save();
+  } catch (err) {
+    // Sabay na nag-submit (double click)
+    if (err.code !== 11000) throw err;
+    req.session.warning = 'You already applied to this job.';
+    return res.redirect('/applications');
+  }
+
+  await audit(req, 'apply', `Applied to "${job.title}" at ${job.company}`, { target: application, meta: { job: job._id } });
+
+  req.session.success = `Application sent to ${job.company}.`;
+  res.redirect('/applications');
+});
+
+app.get('/applications', isLogin, requirePermission('jobs.apply'), async (req, res) => {
+  const applications = await Application.find({ applicant: req.user._id })
+    .sort({ createdAt: -1 })
+    .populate('job', 'title company companyId location status')
+    .lean();
+
+  const unread = await Message.unreadBy('applicant', applications.map(application => application._id));
+
+  res.render('applications', { title: 'My Applications', applications, unread, stages: STAGES, dayjs });
+});
+
+// Board ng employer: applicants ng isang job, naka-grupo per stage
+app.get('/jobs/:id/applicants', isLogin, requirePermission('jobs.manage'), async (req, res) => {
+  const job = await findManagedJob(req, res);
+  if (!job) return;
+
+  // Ranked by match score (galing sa snapshot noong nag-apply)
+  const index = await skillIndex();
+  const applications = rankBy(await Application.find({ job: job._id }).lean(), application => scoreMatch(application.snapshot, job, index))
+    .map(({ item, match }) => ({ ...item, match }));
+  const board = STAGES.map(stage => ({
+    stage,
+    applications: applications.filter(application => application.status === stage)
+  }));
+
+  const unread = await Message.unreadBy('employer', applications.map(application => application._id));
+
+  res.render('applicants', { title: `Applicants: ${job.title}`, job, board, unread, stages: STAGES, dayjs });
+});
+
+app.post('/applications/:id/stage', isLogin, requirePermission('jobs.manage'), async (req, res) => {
+  const application = mongoose.isValidObjectId(req.params.id) ? await Application.findById(req.params.id) : null;
+  if (!application) {
+    req.session.error = 'Application not found.';
+    return res.redirect('/jobs/mine');
+  }
+
+  req.params.id = String(application.job);
+  const job = await findManagedJob(req, res);
+  if (!job) return;
+
+  const stage = String(req.body.stage || '');
+  const note = String(req.body.note || '').trim();
+
+  if (!STAGES.includes(stage)) {
+    req.session.error = 'Invalid stage.';
+    return res.redirect(`/jobs/${job._id}/applicants`);
+  }
+  if (stage === application.status && !note) {
+    req.session.warning = 'Nothing changed.';
+    return res.redirect(`/jobs/${job._id}/applicants`);
+  }
+
+  const from = application.status;
+  application.moveTo(stage, { note, by: req.user._id, byName: fullName(req.user) });
+  await application.save();
+
+  const what = stage === from
+    ? `Added a note to ${application.snapshot.name}'s application for "${job.title}"`
+    : `Moved ${application.snapshot.name} from ${from} to ${stage} for "${job.title}"`;
+  await audit(req, 'application_stage', what, { target: application, meta: { from, to: stage, note } });
+
+  if (stage !== from) {
+    await notify(application.applicant, 'application_status', {
+      title: `${job.title}: ${stage}`,
+      body: `Your application at ${job.company} moved from ${from} to ${stage}.`,
+      link: '/applications',
+      meta: { application: application._id, from, to: stage }
+    });
+  }
+
+  req.session.success = isClosedStage(stage) && stage !== from
+    ? `${application.snapshot.name} marked as ${stage}.`
+    : 'Application updated.';
+  res.redirect(`/jobs/${job._id}/applicants`);
+});
+
+// ================== MESSAGES ==================
+
+// Application, job, at papel ng viewer sa thread (see utils/messages threadRole); null kapag walang access
+async function findThread(req, res, applicationId) {
+  const application = mongoose.isValidObjectId(applicationId) ? await Application.findById(applicationId) : null;
+  const job = application ? await Job.findById(application.job) : null;
+  const role = application ? threadRole(req.user, application, job) : null;
+
+  if (!role) {
+    res.status(404);
+    res.render('index', { title: 'Invalid URL', error: 'Conversation not found.' });
+    return null;
+  }
+  return { application, job, role };
+}
+
+const threadPath = (application) => `/applications/${application._id}/messages`;
+
+// Error message kapag hindi pwedeng i-send, null kapag okay
+function messageProblem({ role, job, body, files, uploadError }) {
+  if (role === 'reviewer') return 'Reviewers can only read this conversation.';
+  if (!job) return 'This job posting was removed.';
+  if (uploadError) return uploadError.message;
+  if (!body && !files.length) return 'Write a message or attach a file.';
+  if (body.length > MAX_MESSAGE_LENGTH) return `Messages are limited to ${MAX_MESSAGE_LENGTH} characters.`;
+  return checkAttachments(files);
+}
+
+app.get('/applications/:id/messages', isLogin, async (req, res) => {
+  const thread = await findThread(req, res, req.params.id);
+  if (!thread) return;
+  const { application, job, role } = thread;
+
+  // Registrar/staff na nagbabasa ng usapan ng iba => laging naka-log
+  if (role === 'reviewer') {
+    await audit(req, 'message_review', `Reviewed messages of ${application.snapshot.name} about "${job ? job.title : 'a removed job'}"`, {
+      target: application
+    });
+  } else {
+    await Message.markRead(application._id, role);
+  }
+
+  const messages = await Message.find({ application: application._id }).sort({ createdAt: 1 }).lean();
+
+  // Templates ng employer + defaults, naka-fill na ang placeholders
+  let templates = [];
+  if (role === 'employer') {
+    const own = await MessageTemplate.find({ owner: req.user._id }).sort({ name: 1 }).lean();
+    const values = { name: application.snapshot.name, job: job.title, company: job.company };
+    templates = [...own, ...DEFAULT_TEMPLATES].map(template => ({ ...template, body: fillTemplate(template.body, values) }));
+  }
+
+  res.render('messages', {
+    title: role === 'applicant' ? `Messages: ${job ? job.company : 'Removed job'}` : `Messages: ${application.snapshot.name}`,
+    application,
+    job,
+    role,
+    messages,
+    templates,
+    back: role === 'applicant' ? '/applications' : role === 'employer' ? `/jobs/${job._id}/applicants` : '/messages',
+    limits: { maxLength: MAX_MESSAGE_LENGTH, maxAttachments: MAX_ATTACHMENTS, maxSize: ATTACHMENT_RULES.maxSize },
+    dayjs
+  });
+});
+
+app.post('/applications/:id/messages', isLogin, receiveAttachments, async (req, res) => {
+  const thread = await findThread(req, res, req.params.id);
+  if (!thread) return;
+  const { application, job, role } = thread;
+  const back = threadPath(application);
+
+  const body = String(req.body.body || '').trim();
+  const files = req.files || [];
+
+  const problem = messageProblem({ role, job, body, files, uploadError: req.uploadError });
+  if (problem) {
+    req.session.error = problem;
+    return res.redirect(back);
+  }
+
+  const template = role === 'employer' && mongoose.isValidObjectId(req.body.template)
+    ? await MessageTemplate.exists({ _id: req.body.template, owner: req.user._id })
+    : null;
+
+  const message = await Message.create({
+    application: application._id,
+    sender: req.user._id,
+    senderName: fullName(req.user),
+    side: role,
+    body,
+    attachments: await storeAttachments(files),
+    template: template ? template._id : undefined
+  });
+
+  const to = role === 'applicant' ? job.company : application.snapshot.name;
+  await audit(req, 'message_send', `Sent a message to ${to} about "${job.title}"`, {
+    target: application,
+    meta: { message: message._id, attachments: message.attachments.length }
+  });
+
+  await notify(role === 'applicant' ? job.postedBy : application.applicant, 'new_message', {
+    title: `New message from ${role === 'applicant' ? application.snapshot.name : job.company}`,
+    body: `About "${job.title}"`,
+    link: back,
+    meta: { application: application._id, message: message._id }
+  });
+
+  res.redirect(`${back}#latest`);
+});
+
+app.get('/messages/:id/attachments/:index', isLogin, async (req, res) => {
+  const message = mongoose.isValidObjectId(req.params.id) ? await Message.findById(req.params.id).lean() : null;
+  const attachment = message && message.attachments[Number(req.params.index)];
+
+  const thread = attachment ? await findThread(req, res, message.application) : null;
+  if (!thread) {
+    if (!res.headersSent) {
+      res.status(404);
+      res.render('index', { title: 'Invalid URL', error: 'Attachment not found.' });
+    }
+    return;
+  }
+
+  // Fresh signed URL bawat bukas (private storage)
+  res.redirect(storage.fileUrl(attachment));
+});
+
+// Registrar: lahat ng thread, para ma-review kapag may reklamo
+app.get('/messages', isLogin, requirePermission('messages.review'), async (req, res) => {
+  const search = String(req.query.q || '').trim();
+  const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  const match = {};
+  if (search) {
+    const pattern = new RegExp(escaped, 'i');
+    const jobs = await Job.find({ $or: [{ title: pattern }, { company: pattern }] }).distinct('_id');
+    match.application = {
+      $in: await Application.find({ $or: [{ 'snapshot.name': pattern }, { 'snapshot.email': pattern }, { job: { $in: jobs } }] }).distinct('_id')
+    };
+  }
+
+  const threads = await Message.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$application',
+        count: { $sum: 1 },
+        attachments: { $sum: { $size: '$attachments' } },
+        lastAt: { $first: '$createdAt' },
+        lastSender: { $first: '$senderName' },
+        lastBody: { $first: '$body' }
+      }
+    },
+    { $sort: { lastAt: -1 } },
+    { $limit: 100 },
+    { $lookup: { from: 'applications', localField: '_id', foreignField: '_id', as: 'application' } },
+    { $unwind: '$application' },
+    { $lookup: { from: 'jobs', localField: 'application.job', foreignField: '_id', as: 'job' } },
+    { $unwind: { path: '$job', preserveNullAndEmptyArrays: true } }
+  ]);
+
+  res.render('messageThreads', { title: 'Application Messages', threads, search, dayjs });
+});
+
+// Canned messages ng employer
+app.get('/messages/templates', isLogin, requirePermission('jobs.manage'), async (req, res) => {
+  const templates = await MessageTemplate.find({ owner: req.user._id }).sort({ name: 1 }).lean();
+  res.render('messageTemplates', {
+    title: 'Message Templates',
+    templates,
+    defaults: DEFAULT_TEMPLATES,
+    placeholders: TEMPLATE_PLACEHOLDERS,
+    maxLength: MAX_MESSAGE_LENGTH
+  });
+});
+
+// Save (bago o edit); ang duplicate name at validation errors ay bumabalik bilang flash
+async function saveTemplate(req, res, template) {
+  template.name = String(req.body.name || '').trim();
+  template.body = String(req.body.body || '').trim();
+
+  try {
+    await template.save();
+  } catch (err) {
+    if (err.code === 11000) req.session.error = `You already have a template named "${template.name}".`;
+    else if (err.name === 'ValidationError') req.session.error = Object.values(validationErrors(err)).join(' ');
+    else throw err;
+    return res.redirect('/messages/templates');
+  }
+
+  req.session.success = `Template "${template.name}" saved.`;
+  res.redirect('/messages/templates');
+}
+
+app.post('/messages/templates', isLogin, requirePermission('jobs.manage'), async (req, res) => {
+  await saveTemplate(req, res, new MessageTemplate({ owner: req.user._id }));
+});
+
+async function findOwnTemplate(req, res) {
+  const template = mongoose.isValidObjectId(req.params.id)
+    ? await MessageTemplate.findOne({ _id: req.params.id, owner: req.user._id })
+    : null;
+  if (!template) {
+    req.session.error = 'Template not found.';
+    res.redirect('/messages/templates');
+  }
+  return template;
+}
+
+app.post('/messages/templates/:id', isLogin, requirePermission('jobs.manage'), async (req, res) => {
+  const template = await findOwnTemplate(req, res);
+  if (template) await saveTemplate(req, res, template);
+});
+
+app.post('/messages/templates/:id/delete', isLogin, requirePermission('jobs.manage'), async (req, res) => {
+  const template = await findOwnTemplate(req, res);
+  if (!template) return;
+
+  await template.deleteOne();
+  req.session.success = `Template "${template.name}" deleted.`;
+  res.redirect('/messages/templates');
+});
+
+// ================== TRACER SURVEYS ==================
+
+async function findSurvey(req, res) {
+  const survey = mongoose.isValidObjectId(req.params.id) ? await Survey.findById(req.params.id) : null;
+  if (!survey) {
+    req.session.error = 'Survey not found.';
+    res.redirect('/surveys');
+  }
+  return survey;
+}
+
+// Questions ay naka-lock kapag na-open na, para pare-pareho ang sagot ng lahat ng respondents
+function draftOnly(req, res, survey) {
+  if (survey.status === 'draft') return true;
+  req.session.error = 'Questions can only be changed while the survey is a draft.';
+  res.redirect(`/surveys/${survey._id}/edit`);
+  return false;
+}
+
+// Save + audit; validation errors bumabalik sa builder bilang flash
+async function saveSurvey(req, res, survey, { what, meta, success }) {
+  try {
+    await survey.save();
+  } catch (err) {
+    if (err.name !== 'ValidationError') throw err;
+    req.session.error = [...new Set(Object.values(validationErrors(err)))].join(' ');
+    return res.redirect(`/surveys/${survey._id}/edit`);
+  }
+
+  await audit(req, 'survey_update', `${what} "${survey.title}"`, { target: survey, meta });
+  req.session.success = success;
+  res.redirect(`/surveys/${survey._id}/edit`);
+}
+
+app.get('/surveys', isLogin, requirePermission('surveys.manage'), async (req, res) => {
+  const list = await Survey.find().sort({ createdAt: -1 }).lean();
+  const ids = list.map(survey => survey._id);
+
+  const [invited, responded] = await Promise.all([
+    SurveyInvitation.aggregate([{ $match: { survey: { $in: ids } } }, { $group: { _id: '$survey', count: { $sum: 1 } } }]),
+    SurveyResponse.aggregate([{ $match: { survey: { $in: ids } } }, { $group: { _id: '$survey', count: { $sum: 1 } } }])
+  ]);
+  const counts = (rows) => Object.fromEntries(rows.map(({ _id, count }) => [String(_id), count]));
+
+  res.render('surveys', { title: 'Tracer Surveys', surveys: list, invited: counts(invited), responded: counts(responded), dayjs });
+});
+
+app.post('/surveys', isLogin, requirePermission('surveys.manage'), async (req, res) => {
+  const survey = new Survey({
+    title: String(req.body.title || '').trim(),
+    description: String(req.body.description || '').trim(),
+    anonymous: req.body.anonymous === 'on',
+    audience: surveys.audienceFields(req.body),
+    createdBy: req.user._id,
+    createdByName: fullName(req.user)
+  });
+
+  try {
+    await survey.save();
+  } catch (err) {
+    if (err.name !== 'ValidationError') throw err;
+    req.session.error = Object.values(validationErrors(err)).join(' ');
+    return res.redirect('/surveys');
+  }
+
+  await audit(req, 'survey_create', `Created survey "${survey.title}"`, { target: survey });
+  res.redirect(`/surveys/${survey._id}/edit`);
+});
+
+app.get('/surveys/:id/edit', isLogin, requirePermission('surveys.manage'), async (req, res) => {
+  const survey = await findSurvey(req, res);
+  if (!survey) return;
+
+  const [options, audienceSize, invited, responded] = await Promise.all([
+    rosterExport.filterOptions(),
+    users.countDocuments(surveys.audienceQuery(survey.audience)),
+    SurveyInvitation.countDocuments({ survey: survey._id }),
+    SurveyResponse.countDocuments({ survey: survey._id })
+  ]);
+
+  res.render('surveyBuilder', {
+    title: `Survey: ${survey.title}`,
+    survey,
+    options: { ...options, roles: [...DEFAULT_AUDIENCE_ROLES, 'Student'] },
+    questionTypes: QUESTION_TYPES,
+    choiceTypes: CHOICE_TYPES,
+    reportTags: REPORT_TAGS,
+    audienceSize,
+    invited,
+    responded
+  });
+});
+
+// Settings at audience; ang anonymous ay hindi na mapapalitan kapag na-open na
+app.post('/surveys/:id', isLogin, requirePermission('surveys.manage'), async (req, res) => {
+  const survey = await findSurvey(req, res);
+  if (!survey) return;
+
+  survey.title = String(req.body.title || '').trim();
+  survey.description = String(req.body.description || '').trim();
+  survey.audience = surveys.audienceFields(req.body);
+  if (survey.status === 'draft') survey.anonymous = req.body.anonymous === 'on';
+
+  await saveSurvey(req, res, survey, { what: 'Updated settings of', meta: { audience: survey.audience }, success: 'Survey settings saved.' });
+});
+
+app.post('/surveys/:id/questions', isLogin, requirePermission('surveys.manage'), async (req, res) => {
+  const survey = await findSurvey(req, res);
+  if (!survey || !draftOnly(req, res, survey)) return;
+
+  survey.questions.push({ ...surveys.questionFields(req.body), key: survey.nextKey() });
+  await saveSurvey(req, res, survey, { what: 'Added a question to', success: 'Question added.' });
+});
+
+app.post('/surveys/:id/preset', isLogin, requirePermission('surveys.manage'), async (req, res) => {
+  const survey = await findSurvey(req, res);
+  if (!survey || !draftOnly(req, res, survey)) return;
+
+  const added = surveys.presetQuestions(survey);
+  if (!added.length) {
+    req.session.warning = 'The standard tracer questions are already in this survey.';
+    return res.redirect(`/surveys/${survey._id}/edit`);
+  }
+
+  survey.questions.push(...added);
+  await saveSurvey(req, res, survey, { what: 'Added standard tracer questions to', success: `${added.length} tracer question(s) added.` });
+});
+
+app.post('/surveys/:id/questions/:key', isLogin, requirePermission('surveys.manage'), async (req, res) => {
+  const survey = await findSurvey(req, res);
+  if (!survey || !draftOnly(req, res, survey)) return;
+
+  const question = survey.question(req.params.key);
+  if (!question) {
+    req.session.error = 'Question not found.';
+    return res.redirect(`/surveys/${survey._id}/edit`);
+  }
+
+  question.set(surveys.questionFields(req.body));
+  await saveSurvey(req, res, survey, { what: 'Edited a question of', success: 'Question saved.' });
+});
+
+app.post('/surveys/:id/questions/:key/remove', isLogin, requirePermission('surveys.manage'), async (req, res) => {
+  const survey = await findSurvey(req, res);
+  if (!survey || !draftOnly(req, res, survey)) return;
+
+  // Ang mga nakadepende sa tinanggal ay laging ipapakita na
+  survey.questions = survey.questions.filter(question => question.key !== req.params.key);
+  survey.questions.forEach(question => {
+    if (question.showIf && question.showIf.key === req.params.key) question.showIf = { key: undefined, values: [] };
+  });
+  await saveSurvey(req, res, survey, { what: 'Removed a question from', success: 'Question removed.' });
+});
+
+app.post('/surveys/:id/questions/:key/move', isLogin, requirePermission('surveys.manage'), async (req, res) => {
+  const survey = await findSurvey(req, res);
+  if (!survey || !draftOnly(req, res, survey)) return;
+
+  const from = survey.questions.findIndex(question => question.key === req.params.key);
+  const to = from + (req.body.direction === 'up' ? -1 : 1);
+  if (from === -1 || to < 0 || to >= survey.questions.length) return res.redirect(`/surveys/${survey._id}/edit`);
+
+  // Branching ay sa naunang question lang, kaya hindi puwedeng lampasan ng question ang pinagbabasehan nito
+  const above = survey.questions[Math.min(from, to)];
+  const below = survey.questions[Math.max(from, to)];
+  if (below.showIf && below.showIf.key === above.key) {
+    req.session.error = `"${below.label}" depends on "${above.label}", so it has to stay below it.`;
+    return res.redirect(`/surveys/${survey._id}/edit`);
+  }
+
+  const questions = survey.questions.map(question => question.toObject());
+  [questions[from], questions[to]] = [questions[to], questions[from]];
+  survey.questions = questions;
+  await saveSurvey(req, res, survey, { what: 'Reordered questions of', success: 'Question moved.' });
+});
+
+// draft -> open -> closed (pwedeng i-open ulit)
+app.post('/surveys/:id/status', isLogin, requirePermission('surveys.manage'), async (req, res) => {
+  const survey = await findSurvey(req, res);
+  if (!survey) return;
+
+  const status = req.body.status === 'closed' ? 'closed' : 'open';
+  if (status === 'open' && !survey.questions.length) {
+    req.session.error = 'Add at least one question before opening the survey.';
+    return res.redirect(`/surveys/${survey._id}/edit`);
+  }
+
+  const from = survey.status;
+  survey.status = status;
+  if (status === 'open' && !survey.openedAt) survey.openedAt = new Date();
+  if (status === 'closed') survey.closedAt = new Date();
+
+  await saveSurvey(req, res, survey, {
+    what: status === 'open' ? 'Opened survey' : 'Closed survey',
+    meta: { from, to: status },
+    success: status === 'open' ? 'Survey is open. Send the invitations next.' : 'Survey closed. No more responses will be accepted.'
+  });
+});
+
+app.post('/surveys/:id/invite', isLogin, requirePermission('surveys.manage'), async (req, res) => {
+  const survey = await findSurvey(req, res);
+  if (!survey) return;
+
+  if (survey.status !== 'open') {
+    req.session.error = 'Open the survey before sending invitations.';
+    return res.redirect(`/surveys/${survey._id}/edit`);
+  }
+
+  const remind = req.body.remind === '1';
+  const count = await surveys.inviteAudience(survey, { remind });
+
+  await audit(req, 'survey_invite', `${remind ? 'Reminded' : 'Invited'} ${count} user(s) to answer "${survey.title}"`, {
+    target: survey,
+    meta: { count, remind }
+  });
+
+  req.session.success = count
+    ? `${remind ? 'Reminder sent to' : 'Invitation sent to'} ${count} user(s).`
+    : remind ? 'Everyone invited has already answered.' : 'Everyone in the audience was already invited.';
+  res.redirect(`/surveys/${survey._id}/edit`);
+});
+
+app.get('/surveys/:id/report', isLogin, requirePermission('surveys.manage'), async (req, res) => {
+  const survey = await findSurvey(req, res);
+  if (!survey) return;
+
+  res.render('surveyReport', { title: `Report: ${survey.title}`, survey, report: await surveys.surveyReport(survey) });
+});
+
+app.get('/surveys/:id/report/download', isLogin, requirePermission('surveys.manage'), async (req, res) => {
+  const survey = await findSurvey(req, res);
+  if (!survey) return;
+
+  const report = await surveys.surveyReport(survey);
+  const sheets = await surveys.reportSheets(survey, report);
+
+  await audit(req, 'export', `Exported tracer report of "${survey.title}" (${report.responded} responses) as XLSX`, { target: survey });
+
+  sendBook(res, sheets, { filename: `tracer-${dayjs().format('YYYYMMDD-HHmmss')}` });
+});
+
+// ---------- respondents ----------
+
+app.get('/surveys/mine', isLogin, async (req, res) => {
+  const invitations = await SurveyInvitation.find({ user: req.user._id })
+    .sort({ invitedAt: -1 })
+    .populate('survey', 'title description status anonymous')
+    .lean();
+
+  res.render('mySurveys', { title: 'My Surveys', invitations: invitations.filter(invitation => invitation.survey), dayjs });
+});
+
+// Invitation ng user sa survey na bukas pa at hindi pa nasasagot; null (at naka-redirect na) kapag hindi pwede
+async function findOpenInvitation(req, res) {
+  const survey = mongoose.isValidObjectId(req.params.id) ? await Survey.findById(req.params.id) : null;
+  const invitation = survey ? await SurveyInvitation.findOne({ survey: survey._id, user: req.user._id }) : null;
+
+  const leave = (key, message) => {
+    req.session[key] = message;
+    res.redirect('/surveys/mine');
+    return null;
+  };
+  if (!invitation) return leave('error', 'Survey not found.');
+  if (invitation.respondedAt) return leave('success', 'You already answered this survey. Thank you!');
+  if (survey.status !== 'open') return leave('error', 'This survey is no longer accepting answers.');
+  return { survey, invitation };
+}
+
+const renderSurveyForm = (res, survey, values = {}, errors = {}) =>
+  res.status(Object.keys(errors).length ? 422 : 200).render('surveyRespond', { title: survey.title, survey, values, errors });
+
+app.get('/surveys/:id/respond', isLogin, async (req, res) => {
+  const found = await findOpenInvitation(req, res);
+  if (found) renderSurveyForm(res, found.survey);
+});
+
+app.post('/surveys/:id/respond', isLogin, async (req, res) => {
+  const found = await findOpenInvitation(req, res);
+  if (!found) return;
+  const { survey, invitation } = found;
+
+  const { answers, values, errors } = surveys.parseAnswers(survey, req.body);
+  if (Object.keys(errors).length) return renderSurveyForm(res, survey, values, errors);
+
+  // Anonymous: walang user at araw lang ang oras, para hindi maitugma ang sagot sa invitation
+  const when = survey.anonymous ? dayjs().startOf('day').toDate() : new Date();
+
+  // I-claim muna ang invitation para hindi madoble kapag na-submit nang dalawang beses
+  const claimed = await SurveyInvitation.findOneAndUpdate({ _id: invitation._id, respondedAt: null }, { respondedAt: when });
+  if (!claimed) {
+    req.session.success = 'You already answered this survey. Thank you!';
+    return res.redirect('/surveys/mine');
+  }
+
+  try {
+    await SurveyResponse.create({
+      survey: survey._id,
+      user: survey.anonymous ? undefined : req.user._id,
+      cohort: {
+        role: req.user.role,
+        course: req.user.course,
+        yearGraduated: req.user.yearGraduated,
+        campus: req.user.campus
+      },
+      answers,
+      submittedAt: when
+    });
+  } catch (err) {
+    await SurveyInvitation.updateOne({ _id: invitation._id }, { respondedAt: null });
+    throw err;
+  }
+
+  req.session.success = `Thank you for answering "${survey.title}"!`;
+  res.redirect('/surveys/mine');
+});
+
+// ================== NOTIFICATIONS ==================
+
+const NOTIFICATIONS_PER_PAGE = 30;
+
+app.get('/notifications', isLogin, async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const filter = { user: req.user._id, inApp: true };
+
+  const [notifications, total] = await Promise.all([
+    Notification.find(filter).sort({ createdAt: -1 }).skip((page - 1) * NOTIFICATIONS_PER_PAGE).limit(NOTIFICATIONS_PER_PAGE).lean(),
+    Notification.countDocuments(filter)
+  ]);
+
+  res.render('notifications', {
+    title: 'Notifications',
+    notifications,
+    page,
+    pages: Math.max(Math.ceil(total / NOTIFICATIONS_PER_PAGE), 1),
+    dayjs
+  });
+});
+
+// Buksan: markahang nabasa at dalhin sa link
+app.post('/notifications/:id/open', isLogin, async (req, res) => {
+  const notification = mongoose.isValidObjectId(req.params.id)
+    ? await Notification.findOneAndUpdate({ _id: req.params.id, user: req.user._id }, { readAt: new Date() })
+    : null;
+
+  // Internal links lang para walang open redirect
+  const link = notification && notification.link && notification.link.startsWith('/') && !notification.link.startsWith('//')
+    ? notification.link
+    : '/notifications';
+  res.redirect(link);
+});
+
+app.post('/notifications/read-all', isLogin, async (req, res) => {
+  await Notification.updateMany({ user: req.user._id, readAt: null }, { readAt: new Date() });
+  res.redirect('/notifications');
+});
+
+app.get('/notifications/preferences', isLogin, async (req, res) => {
+  const preferences = Object.keys(NOTIFICATION_TYPES).map(type => ({
+    type,
+    label: NOTIFICATION_TYPES[type].label,
+    ...channelsFor(req.user, type)
+  }));
+  res.render('notificationPrefs', { title: 'Notification Preferences', preferences });
+});
+
+app.post('/notifications/preferences', isLogin, async (req, res) => {
+  const chosen = (field) => [].concat(req.body[field] || []);
+  req.user.notificationPrefs = Object.fromEntries(Object.keys(NOTIFICATION_TYPES).map(type => [type, {
+    inApp: chosen('inApp').includes(type),
+    email: chosen('email').includes(type)
+  }]));
+  req.user.markModified('notificationPrefs');
+  await req.user.save();
+
+  req.session.success = 'Notification preferences saved.';
+  res.redirect('/notifications/preferences');
+});
+
+// ================== SKILLS & MATCHING ==================
+
+const RECOMMENDED_LIMIT = 20;
+
+app.get('/recommended', isLogin, requirePermission('jobs.apply'), async (req, res) => {
+  const [jobs, applied, index] = await Promise.all([
+    Job.publicQuery().then(query => Job.find(query).sort({ openAt: -1 }).limit(300).lean()),
+    Application.find({ applicant: req.user._id }).distinct('job'),
+    skillIndex()
+  ]);
+
+  const appliedTo = new Set(applied.map(String));
+  const recommended = rankBy(jobs.filter(job => !appliedTo.has(String(job._id))), job => scoreMatch(req.user, job, index))
+    .slice(0, RECOMMENDED_LIMIT)
+    .map(({ item, match }) => ({ job: item, match }));
+
+  res.render('recommended', { title: 'Recommended for You', recommended });
+});
+
+// Career profile ng seeker (skills, work mode, experience) pagkatapos ng registration.
+// Naka-canonical sa taxonomy, kaya naaayos din ang mga skill na nai-save bago nagkaroon nito.
+async function renderCareerProfile(res, data, errors = {}) {
+  const lists = await skillLists();
+  // Kasama sa choices ang mga skill ng user na wala sa listahan (luma o inactive), para hindi mawala
+  const withOwn = (names, own) => [...names, ...own.filter(name => !names.includes(name))];
+  res.status(Object.keys(errors).length ? 422 : 200).render('profileSkills', {
+    title: 'My Career Profile',
+    data,
+    errors,
+    options: {
+      ...registration.options(lists),
+      technicalSkills: withOwn(lists.technical, data.skills),
+      softSkills: withOwn(lists.soft, data.softSkills)
+    }
+  });
+}
+
+app.get('/profile/skills', isLogin, requirePermission('jobs.apply'), async (req, res) => {
+  const index = await skillIndex();
+  await renderCareerProfile(res, {
+    workMode: req.user.workMode,
+    skills: canonicalize(req.user.skills, index),
+    softSkills: canonicalize(req.user.softSkills, index),
+    experience: req.user.experience
+  });
+});
+
+app.post('/profile/skills', isLogin, requirePermission('jobs.apply'), async (req, res) => {
+  const data = registration.CAREER_PROFILE.fields(req.body);
+  const errors = registration.CAREER_PROFILE.validate(data);
+  if (Object.keys(errors).length) return renderCareerProfile(res, data, errors);
+
+  const index = await skillIndex();
+  req.user.set({
+    workMode: data.workMode,
+    skills: canonicalize(data.skills, index),
+    softSkills: canonicalize(data.softSkills, index),
+    experience: data.experience
+  });
+  await req.user.save();
+
+  await audit(req, 'profile_update', 'Updated career profile (skills, work mode, experience)', {
+    target: req.user,
+    meta: { skills: req.user.skills, softSkills: req.user.softSkills, workMode: data.workMode, experience: data.experience }
+  });
+
+  req.session.success = 'Career profile saved. Your recommendations are updated.';
+  res.redirect('/recommended');
+});
+
+app.get('/skills', isLogin, requirePermission('skills.manage'), async (req, res) => {
+  const skills = await Skill.find().sort({ kind: 1, name: 1 }).lean();
+  res.render('skills', { title: 'Skills Taxonomy', skills, kinds: Skill.KINDS });
+});
+
+app.post('/skills', isLogin, requirePermission('skills.manage'), async (req, res) => {
+  const name = String(req.body.name || '').trim();
+  const kind = Skill.KINDS.includes(req.body.kind) ? req.body.kind : 'technical';
+
+  if (!name) {
+    req.session.error = 'Skill name is required.';
+    return res.redirect('/skills');
+  }
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (await Skill.exists({ name: new RegExp(`^${escaped}$`, 'i') })) {
+    req.session.error = `"${name}" is already in the taxonomy.`;
+    return res.redirect('/skills');
+  }
+
+  const skill = await Skill.create({ name, kind, synonyms: Skill.parseSynonyms(req.body.synonyms, name) });
+  await audit(req, 'skill_create', `Added the ${kind} skill "${skill.name}"`, { target: skill });
+
+  req.session.success = `"${skill.name}" added.`;
+  res.redirect('/skills');
+});
+
+app.post('/skills/:id', isLogin, requirePermission('skills.manage'), async (req, res) => {
+  const skill = mongoose.isValidObjectId(req.params.id) ? await Skill.findById(req.params.id) : null;
+  if (!skill) {
+    req.session.error = 'Skill not found.';
+    return res.redirect('/skills');
+  }
+
+  // Hindi pinapalitan ang name dito para hindi maputol ang naka-save na sa profiles at postings; gawing synonym na lang
+  skill.kind = Skill.KINDS.includes(req.body.kind) ? req.body.kind : skill.kind;
+  skill.synonyms = Skill.parseSynonyms(req.body.synonyms, skill.name);
+  skill.active = req.body.active === 'on' || req.body.active === 'true';
+  await skill.save();
+
+  await audit(req, 'skill_update', `Updated the skill "${skill.name}"`, {
+    target: skill,
+    meta: { kind: skill.kind, synonyms: skill.synonyms, active: skill.active }
+  });
+
+  req.session.success = `"${skill.name}" updated.`;
+  res.redirect('/skills');
+});
+
+// ================== EMPLOYERS & COMPANIES ==================
+
+const EMPLOYER_EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function employerFields(body) {
+  const text = (value) => String(value || '').trim();
+  return {
+    companyName: text(body.companyName),
+    industry: text(body.industry),
+    companyAddress: text(body.companyAddress),
+    city: text(body.city),
+    companyEmail: text(body.companyEmail).toLowerCase(),
+    companyPhone: text(body.companyPhone),
+    website: text(body.website),
+    description: text(body.description),
+    fName: text(body.fName),
+    lName: text(body.lName),
+    position: text(body.position),
+    email: text(body.email).toLowerCase(),
+    phone: text(body.phone).replace(/[\s-]/g, '')
+  };
+}
+
+async function employerErrors(data) {
+  const errors = {};
+  ['companyName', 'companyAddress', 'fName', 'lName', 'position'].forEach(field => {
+    if (!data[field]) errors[field] = 'This field is required.';
+  });
+  if (!EMPLOYER_EMAIL.test(data.companyEmail)) errors.companyEmail = 'Please enter a valid company email.';
+  if (!EMPLOYER_EMAIL.test(data.email)) errors.email = 'Please enter a valid email address.';
+  if (!/^09\d{9}$/.test(data.phone)) errors.phone = 'Contact number must look like 09xxxxxxxxx.';
+
+  const escaped = data.companyName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (!errors.companyName && await Company.exists({ name: new RegExp(`^${escaped}$`, 'i') })) {
+    errors.companyName = 'This company is already registered. Ask its employer account to contact us.';
+  }
+  if (!errors.email && await users.exists({ email: data.email })) {
+    errors.email = 'This email is already registered.';
+  }
+  return errors;
+}
+
+app.get('/employers/register', async (req, res) => {
+  res.render('employer', { title: 'Employer Registration', data: {}, errors: {} });
+});
+
+app.post('/employers/register', (req, res, next) => {
+  photoUpload.single('logo')(req, res, (err) => {
+    req.uploadError = err || null;
+    next();
+  });
+}, async (req, res) => {
+  const data = employerFields(req.body);
+  const errors = await employerErrors(data);
+
+  if (req.uploadError) {
+    errors.logo = req.uploadError.code === 'LIMIT_FILE_SIZE' ? 'Logo must be under 2MB.' : req.uploadError.message;
+  } else if (req.file) {
+    const problem = checkPhoto(req.file);
+    if (problem) errors.logo = problem;
+  }
+  if (Object.keys(errors).length) {
+    return res.status(422).render('employer', { title: 'Employer Registration', data, errors });
+  }
+
+  const logo = req.file ? await storePhoto(req.file) : null;
+  let company = null;
+  let user;
+  try {
+    company = await Company.create({
+      name: data.companyName,
+      industry: data.industry,
+      description: data.description,
+      logo: logo ? logo.url : undefined,
+      logoFile: logo ? { driver: logo.driver, key: logo.key } : undefined,
+      address: data.companyAddress,
+      city: data.city,
+      email: data.companyEmail,
+      phone: data.companyPhone,
+      website: data.website
+    });
+
+    const base = data.email.split('@')[0].replace(/[^a-z0-9._]/gi, '').toLowerCase() || 'employer';
+    let username = base;
+    for (let i = 1; await users.exists({ username }); i++) {
+      username = `${base}${i}`;
+    }
+
+    user = await users.create({
+      fName: data.fName,
+      lName: data.lName,
+      email: data.email,
+      phone: data.phone,
+      position: data.position,
+      company: company._id,
+      role: 'Employer',
+      access: 0,
+      verify: false,
+      username,
+      password: generatePassword()
+    });
+  } catch (err) {
+    // Walang maiiwang company (o logo) na haharang sa pangalan kapag pumalya ang pag-create ng account
+    if (company) await Company.deleteOne({ _id: company._id });
+    if (logo) await storage.removeFile(logo).catch(cleanupErr => console.error('⚠️ Logo cleanup failed:', cleanupErr.message));
+    if (err.code !== 11000) throw err;
+
+    const taken = err.keyValue || {};
+    const errors = taken.name ? { companyName: 'This company is already registered. Ask its employer account to contact us.' }
+      : taken.email ? { email: 'This email is already registered.' }
+        : { email: 'We could not create your account. Please submit the form again.' };
+    return res.status(422).render('employer', { title: 'Employer Registration', data, errors });
+  }
+
+  company.employers.push(user._id);
+  await company.save();
+
+  await audit(req, 'register', `Registered as an employer of ${company.name} (${user.username}), waiting for verification`, {
+    actor: user,
+    target: company
+  });
+
+  res.redirect('/js6');
+});
+
+app.get('/companies/:id', async (req, res) => {
+  const company = mongoose.isValidObjectId(req.params.id)
+    ? await Company.findOne({ _id: req.params.id, verified: true }).lean()
+    : null;
+
+  if (!company) {
+    res.status(404);
+    return res.render('index', { title: 'Invalid URL', error: 'Company not found.' });
+  }
+
+  const jobs = await Job.find({ ...Job.openQuery(), companyId: company._id }).sort({ openAt: -1 }).lean();
+
+  res.render('company', { title: company.name, company, jobs });
+});
+
+app.get('/template', async (req, res) => {
+  res.render('template');
+});
+
+app.get('/guide', async (req, res) => {
+  res.render('guide');
+});
+
+app.get('/in', async (req, res) => {
+  res.render('in');
+});
+
+// Search page; lahat ng filters nasa query string para pwedeng i-bookmark o i-share
+app.get('/j', async (req, res) => {
+  const filters = jobSearch.parseSearch(req.query);
+  const { jobs, total, page, pages, facets } = await jobSearch.searchJobs(filters);
+
+  res.render('j', {
+    title: 'Job Offers',
+    jobs,
+    total,
+    page,
+    pages,
+    facets,
+    filters,
+    searchUrl: (changes) => jobSearch.searchUrl(filters, changes)
+  });
+});
+
+app.get('/api/jobs', async (req, res) => {
+  const filters = jobSearch.parseSearch(req.query);
+  const result = await jobSearch.searchJobs(filters);
+
+  res.json({
+    ...result,
+    filters,
+    next: result.page < result.pages ? jobSearch.searchUrl(filters, { page: result.page + 1 }).replace('/j', '/api/jobs') : null
+  });
+});
+
+app.get('/l', async (req, res) => {
+  res.render('l');
+});
+
+app.get('/r', async (req, res) => {
+  res.render('r');
+});
+
+app.post('/r', async (req, res) => {
+  res.redirect(req.body.role === 'employer' ? '/employers/register' : '/js0');
+});
+
+app.get('/c', async (req, res) => {
+  const companies = await Company.find({ verified: true }).sort({ name: 1 }).lean();
+
+  // Bilang ng bukas na job offers per company
+  const counts = await Job.aggregate([
+    { $match: { ...Job.openQuery(), companyId: { $in: companies.map(company => company._id) } } },
+    { $group: { _id: '$companyId', count: { $sum: 1 } } }
+  ]);
+  const openJobs = Object.fromEntries(counts.map(({ _id, count }) => [String(_id), count]));
+
+  res.render('c', { title: 'Companies', companies, openJobs });
 });
 app.get('/jj', async (req, res) => {
   res.render('jj');
@@ -0,0 +1,23 @@
+// Mga document slot sa profile ng job seeker, at ang limit ng bawat isa.
+// `userField` = field sa users na laging naka-turo sa latest version (gamit ng verification queue at applications)
+const MB = 1024 * 1024;
+
+const MIME = {
+  PDF: 'application/pdf',
+  JPEG: 'image/jpeg',
+  PNG: 'image/png'
+};
+
+const DOCUMENT_TYPES = {
+  resume: { label: 'Resume / CV', mimes: [MIME.PDF, MIME.JPEG, MIME.PNG], maxSize: 5 * MB, userField: 'resume' },
+  diploma: { label: 'Diploma / Certificate of Graduation', mimes: [MIME.PDF, MIME.JPEG, MIME.PNG], maxSize: 5 * MB, userField: 'diploma' },
+  tor: { label: 'Transcript of Records', mimes: [MIME.PDF, MIME.JPEG, MIME.PNG], maxSize: 10 * MB },
+  validId: { label: 'Valid ID', mimes: [MIME.JPEG, MIME.PNG, MIME.PDF], maxSize: 5 * MB, userField: 'vId' }
+};
+
+// Profile photos at company logos (public, kaya images lang)
+const PHOTO_RULES = { label: 'Logo', mimes: [MIME.JPEG, MIME.PNG], maxSize: 2 * MB };
+
+const REVIEW_STATUSES = ['pending', 'accepted', 'needs_resubmission'];
+
+module.exports = { MIME, DOCUMENT_TYPES, PHOTO_RULES, REVIEW_STATUSES };
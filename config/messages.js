@@ -0,0 +1,50 @@
+// Messaging sa pagitan ng employer at applicant (isang thread per application).
+const { MIME } = require('./documents');
+
+const MB = 1024 * 1024;
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+// Attachments ay dumadaan sa parehong checks ng documents (see utils/documents checkAgainst)
+const ATTACHMENT_RULES = { label: 'Attachment', mimes: [MIME.PDF, MIME.JPEG, MIME.PNG], maxSize: 5 * MB };
+const MAX_ATTACHMENTS = 3;
+
+// Placeholders na pwedeng gamitin sa templates; pinupunan kapag binuksan ang thread
+const TEMPLATE_PLACEHOLDERS = {
+  name: 'Applicant name',
+  job: 'Job title',
+  company: 'Company name'
+};
+
+// Laging available sa lahat ng employer, bukod sa sariling templates nila
+const DEFAULT_TEMPLATES = [
+  {
+    name: 'Application received',
+    body: 'Hi {{name}},\n\nThank you for applying for the {{job}} position at {{company}}. We are reviewing your application and will get back to you soon.'
+  },
+  {
+    name: 'Interview invitation',
+    body: 'Hi {{name}},\n\nWe would like to invite you to an interview for the {{job}} position. Please reply with the dates and times you are available this week.'
+  },
+  {
+    name: 'Request for documents',
+    body: 'Hi {{name}},\n\nBefore we proceed with your application for {{job}}, could you please attach the following documents:\n\n- '
+  },
+  {
+    name: 'Not selected',
+    body: 'Hi {{name}},\n\nThank you for your interest in the {{job}} position at {{company}}. After careful review, we have decided to move forward with other candidates. We wish you the best in your job search.'
+  }
+];
+
+function fillTemplate(body, values = {}) {
+  return String(body || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  ATTACHMENT_RULES,
+  MAX_ATTACHMENTS,
+  TEMPLATE_PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  fillTemplate
+};
@@ -0,0 +1,26 @@
+// Mga klase ng notification at ang default na channels ng bawat isa.
+// inApp = lalabas sa /notifications at sa badge; email = kasama sa daily digest.
+const NOTIFICATION_TYPES = {
+  account_verified: { label: 'Account verified', defaults: { inApp: true, email: true } },
+  application_status: { label: 'Application status changes', defaults: { inApp: true, email: true } },
+  document_resubmission: { label: 'Documents that need to be uploaded again', defaults: { inApp: true, email: true } },
+  new_message: { label: 'New messages on job applications', defaults: { inApp: true, email: true } },
+  survey_invitation: { label: 'Tracer study and survey invitations', defaults: { inApp: true, email: true } },
+  job_match: { label: 'New jobs that match my profile', defaults: { inApp: true, email: false } }
+};
+
+// Score (0-100, see utils/matching) na kailangan para ma-notify ang seeker sa bagong job
+const JOB_MATCH_THRESHOLD = Number(process.env.JOB_MATCH_THRESHOLD) || 70;
+
+// Digest: isang email bawat user kada DIGEST_HOURS (0 = off); tinitingnan ng app every DIGEST_CHECK_MINUTES
+// kung may user na ang pinakalumang hindi pa na-email ay DIGEST_HOURS na, kaya hindi naaapektuhan ng restarts
+const DIGEST_HOURS = process.env.NOTIFICATION_DIGEST_HOURS === undefined ? 24 : Number(process.env.NOTIFICATION_DIGEST_HOURS);
+const DIGEST_CHECK_MINUTES = Number(process.env.NOTIFICATION_DIGEST_CHECK_MINUTES) || 15;
+
+// Preferences ng user (users.notificationPrefs) na may defaults para sa kulang
+function channelsFor(user, type) {
+  const saved = user && user.notificationPrefs ? user.notificationPrefs[type] : undefined;
+  return { ...NOTIFICATION_TYPES[type].defaults, ...(saved || {}) };
+}
+
+module.exports = { NOTIFICATION_TYPES, JOB_MATCH_THRESHOLD, DIGEST_HOURS, DIGEST_CHECK_MINUTES, channelsFor };
@@ -0,0 +1,24 @@
+// Stages ng job application, in order. Unang stage = bagong apply.
+// Override sa .env: APPLICATION_STAGES="applied,screening,exam,interview,offered,hired,rejected"
+// (huwag tanggalin ang stage na may laman pang applications, babagsak ang validation nila)
+const DEFAULT_STAGES = ['applied', 'screening', 'interview', 'offered', 'hired', 'rejected'];
+
+// Tapos na ang application kapag nandito na; hindi na ito gagalawin ng applicant
+const CLOSED_STAGES = ['hired', 'rejected'];
+
+function parseStages(value = '') {
+  const stages = value.split(',').map(stage => stage.trim().toLowerCase()).filter(Boolean);
+  return stages.length ? [...new Set(stages)] : DEFAULT_STAGES;
+}
+
+const STAGES = parseStages(process.env.APPLICATION_STAGES);
+
+function isClosedStage(stage) {
+  return CLOSED_STAGES.includes(stage);
+}
+
+module.exports = {
+  STAGES,
+  CLOSED_STAGES,
+  isClosedStage
+};
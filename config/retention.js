@@ -0,0 +1,59 @@
+// Gaano katagal (days) itatago ang logs bago i-archive at burahin, per action.
+// Override sa .env: LOG_RETENTION="visit=30,login=180"
+const SECURITY_DAYS = 730; // 2 years
+
+const DEFAULT_RETENTION = {
+  visit: 30,
+  login: 365,
+  logout: 365,
+  login_failed: SECURITY_DAYS,
+  login_blocked: SECURITY_DAYS,
+  lockout: SECURITY_DAYS,
+  lockout_clear: SECURITY_DAYS,
+  impersonate_start: SECURITY_DAYS,
+  impersonate_stop: SECURITY_DAYS,
+  impersonate_denied: SECURITY_DAYS,
+  password_reset_request: SECURITY_DAYS,
+  password_reset: SECURITY_DAYS,
+  password_change: SECURITY_DAYS,
+  password_admin_reset: SECURITY_DAYS,
+  suspend: SECURITY_DAYS,
+  reinstate: SECURITY_DAYS,
+  verify: SECURITY_DAYS,
+  unverify: SECURITY_DAYS,
+  register: SECURITY_DAYS,
+  upload: 365,
+  document_review: SECURITY_DAYS,
+  document_remove: SECURITY_DAYS,
+  import: SECURITY_DAYS,
+  export: SECURITY_DAYS,
+  job_create: 365,
+  job_update: 365,
+  job_close: 365,
+  apply: 365,
+  application_stage: 365,
+  skill_create: 365,
+  skill_update: 365,
+  profile_update: 365,
+  message_send: 365,
+  message_review: SECURITY_DAYS,
+  survey_create: 365,
+  survey_update: 365,
+  survey_invite: 365,
+  other: 365
+};
+
+function parseOverrides(value = '') {
+  return value.split(',').reduce((out, pair) => {
+    const [action, days] = pair.split('=').map(part => part && part.trim());
+    if (action && parseInt(days, 10) > 0) out[action] = parseInt(days, 10);
+    return out;
+  }, {});
+}
+
+const RETENTION_DAYS = { ...DEFAULT_RETENTION, ...parseOverrides(process.env.LOG_RETENTION) };
+
+// Para sa actions na wala sa listahan (at lumang logs na walang action)
+const retentionFor = (action) => RETENTION_DAYS[action] || RETENTION_DAYS.other;
+
+module.exports = { RETENTION_DAYS, retentionFor };
@@ -0,0 +1,81 @@
+// Isang lugar lang para sa roles, permissions, at landing page ng bawat role.
+// Staff roles only get their permissions when access === 1 (access 0 = regular member).
+
+const STAFF_ROLES = ['Admin', 'Head', 'Dev', 'Seed', 'Registrar', 'Accounting'];
+
+const ROLE_PERMISSIONS = {
+  Dev: ['*'],
+  Head: [
+    'dashboard.view', 'dashboard.refresh', 'users.view', 'users.verify', 'users.suspend', 'users.reset', 'users.import', 'users.export', 'users.impersonate',
+    'logs.view', 'lockouts.clear', 'jobs.manage', 'jobs.manage_all', 'skills.manage', 'messages.review', 'surveys.manage'
+  ],
+  Seed: ['dashboard.view', 'users.view', 'users.export', 'logs.view'],
+  Admin: [
+    'dashboard.view', 'users.view', 'users.verify', 'users.suspend', 'users.reset', 'users.import', 'users.export',
+    'logs.view', 'lockouts.clear', 'jobs.manage', 'jobs.manage_all', 'skills.manage', 'messages.review', 'surveys.manage'
+  ],
+  Registrar: ['dashboard.view', 'users.view', 'users.verify', 'users.import', 'users.export', 'messages.review', 'surveys.manage'],
+  Accounting: ['transactions.view'],
+  Employer: ['jobs.manage'],
+  Student: ['jobs.apply'],
+  Alumni: ['jobs.apply'],
+  Former: ['jobs.apply']
+};
+
+// Landing route after login (access 1 = staff side, access 0 = member side)
+const STAFF_LANDING = {
+  Admin: '/dsb',
+  Head: '/dsb',
+  Dev: '/dsb',
+  Seed: '/dsb',
+  Registrar: '/dsb',
+  Accounting: '/trs'
+};
+const MEMBER_LANDING = '/hom';
+const ROLE_LANDING = {
+  Employer: '/jobs/mine'
+};
+
+function permissionsOf(user) {
+  if (!user || !user.role) return [];
+  if (STAFF_ROLES.includes(user.role) && user.access !== 1) return ROLE_PERMISSIONS.Student;
+  // Self-registered employers: walang permissions hangga't hindi na-verify ng registrar
+  if (user.role === 'Employer' && !user.verify) return [];
+  return ROLE_PERMISSIONS[user.role] || [];
+}
+
+function can(user, permission) {
+  const permissions = permissionsOf(user);
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+// Sariling gamit ng member (hindi privilege), kaya hindi kasama sa paghahambing sa impersonation
+const MEMBER_PERMISSIONS = ROLE_PERMISSIONS.Student;
+
+// Hindi puwedeng i-impersonate ang kapantay o mas mataas: Dev ('*'), kapwa may users.impersonate,
+// o sinumang may permission na wala sa nag-i-impersonate.
+function canImpersonateUser(actor, target) {
+  const mine = permissionsOf(actor);
+  const theirs = permissionsOf(target);
+  if (theirs.includes('*') || theirs.includes('users.impersonate')) return false;
+  if (mine.includes('*')) return true;
+  return theirs.every(permission => MEMBER_PERMISSIONS.includes(permission) || mine.includes(permission));
+}
+
+function landingFor(user) {
+  if (user.access === 1) return STAFF_LANDING[user.role] || '/';
+  if (user.access === 0) return ROLE_LANDING[user.role] || MEMBER_LANDING;
+  return '/'; // Invalid access value
+}
+
+module.exports = {
+  STAFF_ROLES,
+  ROLE_PERMISSIONS,
+  STAFF_LANDING,
+  MEMBER_LANDING,
+  ROLE_LANDING,
+  permissionsOf,
+  can,
+  canImpersonateUser,
+  landingFor
+};
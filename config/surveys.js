@@ -0,0 +1,76 @@
+// Tracer study / survey builder: question types, report tags, at preset na tracer questions.
+
+const QUESTION_TYPES = {
+  short_text: 'Short answer',
+  long_text: 'Paragraph',
+  single_choice: 'Multiple choice (one answer)',
+  multiple_choice: 'Checkboxes (many answers)',
+  scale: 'Linear scale (1-5)',
+  number: 'Number'
+};
+const CHOICE_TYPES = ['single_choice', 'multiple_choice'];
+const NUMERIC_TYPES = ['scale', 'number'];
+
+const SURVEY_STATUSES = ['draft', 'open', 'closed'];
+
+// Default na target kapag walang piniling roles sa audience
+const DEFAULT_AUDIENCE_ROLES = ['Alumni', 'Former'];
+
+const EMPLOYMENT_STATUSES = [
+  'Employed full-time',
+  'Employed part-time',
+  'Self-employed / Freelance',
+  'Unemployed, looking for work',
+  'Not looking for work / Further studies'
+];
+// Bilang "employed" sa employment rate
+const EMPLOYED_STATUSES = EMPLOYMENT_STATUSES.slice(0, 3);
+
+// Question na may `reportAs` tag ang ginagamit ng aggregate reports (see utils/surveys surveyReport).
+// Naka-fix ang type at options para pare-pareho ang sagot sa bawat survey.
+const REPORT_TAGS = {
+  employment_status: { label: 'Employment status', type: 'single_choice', options: EMPLOYMENT_STATUSES },
+  months_to_first_job: { label: 'Months from graduation to first job', type: 'number', min: 0, max: 240 },
+  job_related_to_course: { label: 'First job related to course', type: 'single_choice', options: ['Yes', 'Somewhat', 'No'] }
+};
+
+// Time-to-first-job buckets (months) para sa report
+const TIME_TO_JOB_BUCKETS = [0, 3, 6, 12, 24];
+
+// "Add standard tracer questions" sa builder; showIf.tag = branching base sa ibang preset question
+const TRACER_PRESET = [
+  { label: 'What is your current employment status?', reportAs: 'employment_status', required: true },
+  {
+    label: 'How many months after graduation did you get your first job?',
+    reportAs: 'months_to_first_job',
+    required: true,
+    showIf: { tag: 'employment_status', values: EMPLOYED_STATUSES }
+  },
+  {
+    label: 'Is your first job related to the course you took?',
+    reportAs: 'job_related_to_course',
+    required: true,
+    showIf: { tag: 'employment_status', values: EMPLOYED_STATUSES }
+  },
+  {
+    label: 'Which skills learned in college were most useful at work?',
+    type: 'multiple_choice',
+    options: ['Communication', 'Critical thinking', 'Technical skills of the course', 'Teamwork', 'Leadership', 'Research'],
+    showIf: { tag: 'employment_status', values: EMPLOYED_STATUSES }
+  },
+  { label: 'How well did your course prepare you for work?', type: 'scale', required: true },
+  { label: 'Any suggestions to improve the curriculum?', type: 'long_text' }
+];
+
+module.exports = {
+  QUESTION_TYPES,
+  CHOICE_TYPES,
+  NUMERIC_TYPES,
+  SURVEY_STATUSES,
+  DEFAULT_AUDIENCE_ROLES,
+  EMPLOYMENT_STATUSES,
+  EMPLOYED_STATUSES,
+  REPORT_TAGS,
+  TIME_TO_JOB_BUCKETS,
+  TRACER_PRESET
+};
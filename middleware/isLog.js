@@ -1,28 +1,100 @@
+const mongoose = require('mongoose');
 const dayjs = require('dayjs');
 const relativeTime = require('dayjs/plugin/relativeTime');
 dayjs.extend(relativeTime);
 
 const Log = require('../model/logs');
 
-module.exports = async (req, res, next) => {
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cursor = createdAt + _id ng huling row, naka-base64url para hindi magulo sa URL
+const encodeCursor = (log) => Buffer.from(`${log.createdAt.toISOString()}_${log._id}`).toString('base64url');
+const decodeCursor = (cursor) => {
+  const [date, id] = Buffer.from(String(cursor), 'base64url').toString().split('_');
+  if (!date || !mongoose.isValidObjectId(id) || isNaN(Date.parse(date))) return null;
+  return { createdAt: new Date(date), _id: new mongoose.Types.ObjectId(id) };
+};
+
+// Filters galing sa query string: actor, action, from, to, q
+function buildLogQuery(params = {}) {
+  const and = [];
+  const actor = String(params.actor || '').trim();
+  const q = String(params.q || '').trim();
+
+  if (actor) {
+    and.push(mongoose.isValidObjectId(actor)
+      ? { $or: [{ actor: actor }, { realActor: actor }] }
+      : { who: new RegExp(escapeRegex(actor), 'i') });
+  }
+  if (params.action && Log.ACTIONS.includes(params.action)) {
+    and.push({ action: params.action });
+  }
+  if (params.from && dayjs(params.from).isValid()) {
+    and.push({ createdAt: { $gte: dayjs(params.from).startOf('day').toDate() } });
+  }
+  if (params.to && dayjs(params.to).isValid()) {
+    and.push({ createdAt: { $lte: dayjs(params.to).endOf('day').toDate() } });
+  }
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    and.push({ $or: [{ who: pattern }, { what: pattern }, { ipAddress: pattern }] });
+  }
+
+  return and.length ? { $and: and } : {};
+}
+
+const formatLog = (log) => ({
+  ...log,
+  createdAtFormatted: log.createdAt ? dayjs(log.createdAt).format('MMM D, YYYY h:mm:ss A') : '—',
+  createdAtAgo: log.createdAt ? dayjs(log.createdAt).fromNow() : '—',
+  updatedAtFormatted: log.updatedAt ? dayjs(log.updatedAt).format('MMM D, YYYY h:mm A') : '—',
+  updatedAtAgo: log.updatedAt ? dayjs(log.updatedAt).fromNow() : '—'
+});
+
+// Loads one page of logs (newest first) into req.logs / res.locals.logs
+const isLog = async (req, res, next) => {
+  const filters = {
+    actor: req.query.actor || '',
+    action: req.query.action || '',
+    from: req.query.from || '',
+    to: req.query.to || '',
+    q: req.query.q || ''
+  };
+
   try {
-    // ✅ Fetch all logs, newest first
-    const allLogs = await Log.find().sort({ createdAt: -1 }).lean(); // lean() gives plain JS objects
-
-    // ✅ Format createdAt and updatedAt for each log
-    const formattedLogs = allLogs.map(log => {
-      return {
-        ...log,
-        createdAtFormatted: log.createdAt ? dayjs(log.createdAt).format('MMM D, YYYY h:mm:ss A') : '—',
-        createdAtAgo: log.createdAt ? dayjs(log.createdAt).fromNow() : '—',
-        updatedAtFormatted: log.updatedAt ? dayjs(log.updatedAt).format('MMM D, YYYY h:mm A') : '—',
-        updatedAtAgo: log.updatedAt ? dayjs(log.updatedAt).fromNow() : '—'
-      };
-    });
-
-    // ✅ Make logs available globally
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const query = buildLogQuery(filters);
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+
+    if (cursor) {
+      query.$and = (query.$and || []).concat({
+        $or: [
+          { createdAt: { $lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }
+        ]
+      });
+    }
+
+    // Isang sobra para malaman kung may kasunod pa
+    const rows = await Log.find(query).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).lean();
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+
+    // ✅ Format lang ang page na ibabalik
+    const formattedLogs = page.map(formatLog);
+
     req.logs = formattedLogs;
     res.locals.logs = formattedLogs;
+    res.locals.logPage = {
+      filters,
+      limit,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      actions: Log.ACTIONS
+    };
+    req.logPage = res.locals.logPage;
 
     console.log(`📜 Logs loaded: ${formattedLogs.length} entries`);
 
@@ -31,6 +103,12 @@ module.exports = async (req, res, next) => {
     console.error('⚠️ Error in isLog middleware:', err);
     req.logs = [];
     res.locals.logs = [];
+    res.locals.logPage = { filters, limit: PAGE_SIZE, nextCursor: null, actions: Log.ACTIONS };
+    req.logPage = res.locals.logPage;
     next();
   }
 };
+
+module.exports = isLog;
+module.exports.buildLogQuery = buildLogQuery;
+module.exports.formatLog = formatLog;
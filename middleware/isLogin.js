@@ -14,10 +14,31 @@ module.exports = async (req, res, next) => {
       return res.redirect('/');
     }
 
+    // Suspended accounts lose their session right away
+    await user.liftExpiredSuspension();
+    if (user.isSuspended() && !req.session.impersonator) {
+      console.log(`⛔ Suspended account ${user.username} tried to use the site`);
+      return req.session.destroy(() => {
+        res.status(403).render('index', {
+          title: 'Account Suspended',
+          error: 'Your account is suspended.',
+          suspension: { reason: user.suspendIs, until: user.suspendUntil }
+        });
+      });
+    }
+
     req.user = user;
     res.locals.user = user;
 
-    console.log(`✅ Logged in as ${user.fName} ${user.lName}`);
+    // Real identity kapag naka "view as user"
+    req.impersonator = req.session.impersonator || null;
+    res.locals.impersonator = req.impersonator;
+
+    if (req.impersonator) {
+      console.log(`🎭 ${req.impersonator.fName} ${req.impersonator.lName} viewing as ${user.fName} ${user.lName}`);
+    } else {
+      console.log(`✅ Logged in as ${user.fName} ${user.lName}`);
+    }
 
     next();
   } catch (err) {
@@ -0,0 +1,125 @@
+const LoginAttempt = require('../model/loginAttempt');
+const { audit, getIp } = require('../utils/audit');
+
+// Mga setting, pwedeng palitan sa .env
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS, 10) || 20;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+const BASE_DELAY_MS = parseInt(process.env.LOGIN_DELAY_MS, 10) || 1000;
+const MAX_DELAY_MS = 1000 * 60;
+
+const keysFor = (req) => {
+  const username = String(req.body.username || '').trim();
+  const ip = getIp(req) || 'unknown';
+  return [
+    { key: `username:${username.toLowerCase()}`, kind: 'username', value: username, limit: MAX_ATTEMPTS },
+    { key: `ip:${ip}`, kind: 'ip', value: ip, limit: MAX_IP_ATTEMPTS }
+  ];
+};
+
+const minutesLeft = (date) => Math.max(1, Math.ceil((date - Date.now()) / 60000));
+const secondsLeft = (date) => Math.max(1, Math.ceil((date - Date.now()) / 1000));
+
+// Blocks POST /login while the username or IP is locked or still inside its delay window
+const loginThrottle = async (req, res, next) => {
+  try {
+    const now = new Date();
+    const attempts = await LoginAttempt.find({ key: { $in: keysFor(req).map(k => k.key) } });
+
+    for (const attempt of attempts) {
+      if (attempt.lockedUntil && attempt.lockedUntil > now) {
+        return res.status(429).render('index', {
+          title: 'AUDRESv25',
+          error: `Too many failed attempts. Try again in ${minutesLeft(attempt.lockedUntil)} minute(s).`
+        });
+      }
+      if (attempt.nextAttemptAt && attempt.nextAttemptAt > now) {
+        return res.status(429).render('index', {
+          title: 'AUDRESv25',
+          error: `Please wait ${secondsLeft(attempt.nextAttemptAt)} second(s) before trying again.`
+        });
+      }
+    }
+
+    next();
+  } catch (err) {
+    // Fail closed: kapag hindi ma-check ang lockout, huwag munang tanggapin ang login
+    console.error('⚠️ Error in loginThrottle middleware:', err);
+    return res.status(503).render('index', {
+      title: 'AUDRESv25',
+      error: 'Login is temporarily unavailable. Please try again in a moment.'
+    });
+  }
+};
+
+// Upsert ng counter; pag nagkasabay ang unang insert (E11000), ulitin na lang, existing na ang doc
+const bumpAttempt = async (key, update) => {
+  try {
+    return await LoginAttempt.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return LoginAttempt.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  }
+};
+
+// Tawagin pag mali ang username/password: dagdag count, delay, at lock kapag lampas na
+const recordFailure = async (req) => {
+  const now = new Date();
+  const ip = getIp(req);
+  const username = String(req.body.username || '').trim();
+
+  await audit(req, 'login_failed', `Failed login attempt for "${username}" from IP Address ${ip}`, {
+    actor: null,
+    who: username || 'UNKNOWN',
+    meta: { username }
+  });
+
+  for (const { key, kind, value, limit } of keysFor(req)) {
+    // Tapos na ang lock, balik sa zero
+    await LoginAttempt.updateOne({ key, lockedUntil: { $lte: now } }, { $set: { count: 0, lockedUntil: null } });
+
+    // Isang atomic $inc para hindi magkapatungan ang sabay-sabay na failed logins
+    const attempt = await bumpAttempt(key, {
+      $inc: { count: 1 },
+      $set: { lastAttemptAt: now, expireAt: new Date(now.getTime() + LOCK_MINUTES * 60000 * 2) },
+      $setOnInsert: { kind, value }
+    });
+
+    const nextAttemptAt = new Date(now.getTime() + Math.min(BASE_DELAY_MS * 2 ** (attempt.count - 1), MAX_DELAY_MS));
+    await LoginAttempt.updateOne({ key }, { $max: { nextAttemptAt } });
+
+    if (attempt.count < limit) continue;
+
+    const lockedUntil = new Date(now.getTime() + LOCK_MINUTES * 60000);
+    // Isang request lang ang magla-lock (at mag-a-audit) kahit sabay-sabay silang lumampas sa limit
+    const locked = await LoginAttempt.updateOne(
+      { key, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedUntil, expireAt: new Date(lockedUntil.getTime() + LOCK_MINUTES * 60000) } }
+    );
+
+    if (locked.modifiedCount) {
+      await audit(req, 'lockout', `Locked out after ${attempt.count} failed login attempts (${kind}: ${value}) until ${lockedUntil.toLocaleString()}`, {
+        actor: null,
+        who: kind === 'username' ? value : `IP ${value}`,
+        meta: { kind, value, count: attempt.count, lockedUntil }
+      });
+    }
+  }
+};
+
+// Successful login: linisin ang counter ng username (IP counter stays para sa brute-force galing sa iisang IP)
+const recordSuccess = async (req) => {
+  const [usernameKey] = keysFor(req);
+  await LoginAttempt.deleteOne({ key: usernameKey.key });
+};
+
+// Admin clears a lockout for a specific account
+const clearLockout = async (username) => {
+  const result = await LoginAttempt.deleteOne({ key: `username:${String(username).trim().toLowerCase()}` });
+  return result.deletedCount > 0;
+};
+
+module.exports = loginThrottle;
+module.exports.recordFailure = recordFailure;
+module.exports.recordSuccess = recordSuccess;
+module.exports.clearLockout = clearLockout;
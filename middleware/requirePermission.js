@@ -0,0 +1,21 @@
+const { can } = require('../config/roles');
+
+// Usage: app.get('/path', isLogin, requirePermission('users.verify'), handler)
+module.exports = (permission) => (req, res, next) => {
+  const user = req.user || (req.session && req.session.user);
+
+  if (!user) {
+    req.session.error = 'Please login first!';
+    return res.redirect('/');
+  }
+
+  if (!can(user, permission)) {
+    console.log(`⛔ ${user.username} (${user.role}) denied: ${permission}`);
+    return res.status(403).render('403', {
+      title: 'Access Denied',
+      permission
+    });
+  }
+
+  next();
+};
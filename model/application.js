@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { STAGES } = require('../config/pipeline');
+
+// Bawat galaw ng application (sino, kailan, at bakit)
+const historySchema = new mongoose.Schema({
+  from: { type: String },
+  to: { type: String, required: true },
+  note: { type: String, trim: true },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'user' },
+  byName: { type: String, trim: true },
+  at: { type: Date, default: Date.now }
+});
+
+const applicationSchema = new mongoose.Schema({
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'job', required: true },
+  applicant: { type: mongoose.Schema.Types.ObjectId, ref: 'user', required: true },
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'company' },
+
+  // Kopya ng profile at credentials noong nag-apply, para hindi magbago kahit i-update pa ng applicant
+  snapshot: {
+    name: { type: String, trim: true },
+    email: { type: String, trim: true },
+    phone: { type: String, trim: true },
+    course: { type: String, trim: true },
+    yearGraduated: { type: String, trim: true },
+    workMode: { type: String, trim: true },
+    skills: [{ type: String, trim: true }],
+    softSkills: [{ type: String, trim: true }],
+    experience: { type: String, trim: true },
+    resume: { type: String, trim: true },
+    diploma: { type: String, trim: true }
+  },
+  coverLetter: { type: String, trim: true },
+
+  status: { type: String, enum: STAGES, default: STAGES[0] },
+  history: [historySchema]
+}, {
+  timestamps: true
+});
+
+// Isang application lang per job per applicant
+applicationSchema.index({ job: 1, applicant: 1 }, { unique: true });
+applicationSchema.index({ applicant: 1, createdAt: -1 });
+applicationSchema.index({ job: 1, status: 1 });
+
+applicationSchema.statics.STAGES = STAGES;
+
+// Ilipat sa ibang stage at itala sa history
+applicationSchema.methods.moveTo = function (stage, { note, by, byName } = {}) {
+  this.history.push({ from: this.status, to: stage, note, by, byName });
+  this.status = stage;
+};
+
+module.exports = mongoose.model('application', applicationSchema);
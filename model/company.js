@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const companySchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  industry: { type: String, trim: true },
+  description: { type: String, trim: true },
+  logo: { type: String, trim: true },
+  logoFile: { driver: { type: String, trim: true }, key: { type: String, trim: true } }, // see utils/storage
+
+  address: { type: String, required: true, trim: true },
+  city: { type: String, trim: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  phone: { type: String, trim: true },
+  website: { type: String, trim: true },
+
+  employers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'user' }],
+
+  verified: { type: Boolean, default: false },
+  verifiedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+companySchema.index({ verified: 1, name: 1 });
+
+module.exports = mongoose.model('company', companySchema);
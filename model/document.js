@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { DOCUMENT_TYPES, REVIEW_STATUSES } = require('../config/documents');
+const { removeFile } = require('../utils/storage');
+
+// Bawat upload ay bagong version; hindi binubura ang luma
+const versionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  driver: { type: String, trim: true }, // storage driver + key (see utils/storage)
+  key: { type: String, trim: true },
+  url: { type: String, trim: true }, // lumang uploads na diretsong URL lang ang naka-save
+  mime: { type: String, trim: true },
+  size: { type: Number },
+  originalName: { type: String, trim: true },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'user' },
+  uploadedAt: { type: Date, default: Date.now }
+});
+
+const reviewSchema = new mongoose.Schema({
+  version: { type: Number },
+  status: { type: String, enum: REVIEW_STATUSES, required: true },
+  comment: { type: String, trim: true },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'user' },
+  byName: { type: String, trim: true },
+  at: { type: Date, default: Date.now }
+});
+
+const documentSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'user', required: true },
+  type: { type: String, enum: Object.keys(DOCUMENT_TYPES), required: true },
+
+  versions: [versionSchema],
+  status: { type: String, enum: REVIEW_STATUSES, default: 'pending' },
+  reviews: [reviewSchema],
+  reviewedAt: { type: Date },
+  // Tinanggal ng owner pero may versions pang naka-turo ang mga application (see retire)
+  removedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+// Isang slot per type per user
+documentSchema.index({ user: 1, type: 1 }, { unique: true });
+documentSchema.index({ status: 1, updatedAt: 1 });
+
+documentSchema.statics.TYPES = DOCUMENT_TYPES;
+documentSchema.statics.REVIEW_STATUSES = REVIEW_STATUSES;
+
+documentSchema.virtual('current').get(function () {
+  return this.versions[this.versions.length - 1] || null;
+});
+
+// Bagong upload: dagdag version at balik sa pending para ma-review ulit
+// (sunod sa huling version number, dahil pwedeng nabura na ang ilang luma)
+documentSchema.methods.addVersion = function (file, uploadedBy) {
+  const last = this.versions[this.versions.length - 1];
+  this.versions.push({ ...file, version: last ? last.version + 1 : 1, uploadedBy });
+  this.status = 'pending';
+  this.reviewedAt = undefined;
+  this.removedAt = null;
+};
+
+documentSchema.methods.review = function ({ status, comment, by, byName }) {
+  const current = this.versions[this.versions.length - 1];
+  this.reviews.push({ version: current ? current.version : undefined, status, comment, by, byName });
+  this.status = status;
+  this.reviewedAt = new Date();
+};
+
+// Link sa app (hindi sa storage) para laging may permission check at fresh na signed URL
+documentSchema.methods.versionPath = function (version = this.current.version) {
+  return `/documents/${this._id}/versions/${version}`;
+};
+
+// "Remove" habang may application na naka-turo: burahin ang ibang versions, itago ang slot,
+// pero iwan ang `keep` (version numbers) para hindi mamatay ang links ng employers
+documentSchema.methods.retire = async function (keep) {
+  for (const version of this.versions.filter(item => !keep.includes(item.version))) {
+    if (version.key) {
+      await removeFile(version).catch(err => console.error(`Failed to remove ${version.key}:`, err.message));
+    }
+  }
+  this.versions = this.versions.filter(item => keep.includes(item.version));
+  this.removedAt = new Date();
+  await this.save();
+};
+
+// Kapag binura ang document, burahin din ang lahat ng file nito sa storage
+documentSchema.post('deleteOne', { document: true, query: false }, async function () {
+  for (const version of this.versions) {
+    if (version.key) {
+      await removeFile(version).catch(err => console.error(`Failed to remove ${version.key}:`, err.message));
+    }
+  }
+});
+
+module.exports = mongoose.model('document', documentSchema);
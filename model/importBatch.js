@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Isang upload ng spreadsheet para sa bulk user import; dry run muna bago i-confirm
+const importRowSchema = new mongoose.Schema({
+  row: { type: Number, required: true }, // row number sa spreadsheet
+  data: { type: mongoose.Schema.Types.Mixed },
+  problems: [{ type: String }],
+  status: { type: String, enum: ['ok', 'error', 'duplicate'], default: 'ok' }
+}, { _id: false });
+
+const importBatchSchema = new mongoose.Schema({
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'user', required: true },
+  filename: { type: String, trim: true },
+  columns: { type: mongoose.Schema.Types.Mixed }, // header sa file -> field sa users
+  rows: [importRowSchema],
+  summary: {
+    total: { type: Number, default: 0 },
+    ok: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 }
+  },
+  status: { type: String, enum: ['pending', 'importing', 'imported'], default: 'pending' }, // importing = naka-claim ng isang confirm
+  importedAt: { type: Date },
+  createdCount: { type: Number, default: 0 },
+  expireAt: { type: Date, default: () => new Date(Date.now() + 1000 * 60 * 60 * 24 * 7) }
+}, {
+  timestamps: true
+});
+
+importBatchSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('importBatch', importBatchSchema);
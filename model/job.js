@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const EMPLOYMENT_TYPES = ['Full Time', 'Part Time', 'Contract', 'Internship', 'Temporary'];
+const EDUCATION_LEVELS = ['High School Graduate', 'Vocational', 'College Undergraduate', "Bachelor's Degree", "Master's Degree"];
+const WORK_MODES = ['On-site', 'Remote', 'Hybrid'];
+const EXPERIENCE_LEVELS = ['No Experience', 'Fresh Grad', 'Entry Level', 'Mid Level', 'Senior Level'];
+
+const jobSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  company: { type: String, required: true, trim: true }, // pangalan, naka-copy para sa listing at search
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'company' },
+  location: { type: String, required: true, trim: true },
+  employmentType: { type: String, enum: EMPLOYMENT_TYPES, required: true },
+  education: { type: String, enum: EDUCATION_LEVELS },
+  workMode: { type: String, enum: WORK_MODES, required: true },
+  experienceLevel: { type: String, enum: EXPERIENCE_LEVELS, required: true },
+  description: { type: String, required: true, trim: true },
+  skills: [{ type: String, trim: true }], // technical skills na hinahanap (canonical names, see model/skill)
+  softSkills: [{ type: String, trim: true }],
+
+  salaryMin: { type: Number, min: 0 },
+  salaryMax: {
+    type: Number,
+    min: 0,
+    validate: {
+      validator: function (value) {
+        return value == null || this.salaryMin == null || value >= this.salaryMin;
+      },
+      message: 'Maximum salary must not be lower than the minimum.'
+    }
+  },
+  currency: { type: String, default: 'PHP', trim: true },
+
+  openAt: { type: Date, default: Date.now },
+  closeAt: {
+    type: Date,
+    validate: {
+      validator: function (value) {
+        return !value || !this.openAt || value > this.openAt;
+      },
+      message: 'Closing date must be after the opening date.'
+    }
+  },
+
+  status: { type: String, enum: ['draft', 'open', 'closed'], default: 'open' },
+  closedAt: { type: Date },
+
+  postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'user', required: true }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, openAt: -1 });
+jobSchema.index({ postedBy: 1, createdAt: -1 });
+jobSchema.index({ companyId: 1, status: 1 });
+// Full-text search sa /j (mas mabigat ang title kaysa description)
+jobSchema.index(
+  { title: 'text', company: 'text', description: 'text' },
+  { weights: { title: 10, company: 5, description: 1 }, name: 'job_text' }
+);
+
+jobSchema.statics.EMPLOYMENT_TYPES = EMPLOYMENT_TYPES;
+jobSchema.statics.EDUCATION_LEVELS = EDUCATION_LEVELS;
+jobSchema.statics.WORK_MODES = WORK_MODES;
+jobSchema.statics.EXPERIENCE_LEVELS = EXPERIENCE_LEVELS;
+
+// Query para sa mga posting na bukas ngayon (status open, nasa loob ng open/close dates)
+jobSchema.statics.openQuery = function (now = new Date()) {
+  return {
+    status: 'open',
+    openAt: { $lte: now },
+    $or: [{ closeAt: null }, { closeAt: { $gt: now } }]
+  };
+};
+
+// Para sa publiko (/j, apply, recommendations): bukas at galing sa school o sa verified na company.
+// Hindi lumalabas ang postings ng employer na pending o rejected ang company.
+jobSchema.statics.publicQuery = async function (now = new Date()) {
+  const verified = await mongoose.model('company').find({ verified: true }).distinct('_id');
+  return { $and: [this.openQuery(now), { $or: [{ companyId: null }, { companyId: { $in: verified } }] }] };
+};
+
+jobSchema.virtual('isOpen').get(function () {
+  const now = new Date();
+  return this.status === 'open' && (!this.openAt || this.openAt <= now) && (!this.closeAt || this.closeAt > now);
+});
+
+module.exports = mongoose.model('job', jobSchema);
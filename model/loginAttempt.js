@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Counter ng failed logins per username at per IP (key = "username:juan" o "ip:1.2.3.4")
+const loginAttemptSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, trim: true },
+  kind: { type: String, enum: ['username', 'ip'], required: true },
+  value: { type: String, required: true, trim: true },
+  count: { type: Number, default: 0 },
+  lastAttemptAt: { type: Date },
+  nextAttemptAt: { type: Date },
+  lockedUntil: { type: Date },
+  expireAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// Mongo TTL: automatic burahin kapag matagal nang walang failed attempt
+loginAttemptSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('loginAttempt', loginAttemptSchema);
@@ -1,10 +1,44 @@
 const mongoose = require('mongoose');
 
+const ACTIONS = [
+  'visit',
+  'login', 'login_failed', 'login_blocked', 'logout',
+  'lockout', 'lockout_clear',
+  'impersonate_start', 'impersonate_stop', 'impersonate_denied',
+  'password_reset_request', 'password_reset', 'password_change', 'password_admin_reset',
+  'register', 'verify', 'unverify',
+  'suspend', 'reinstate',
+  'upload', 'document_review', 'document_remove', 'import', 'export',
+  'job_create', 'job_update', 'job_close',
+  'apply', 'application_stage',
+  'skill_create', 'skill_update', 'profile_update',
+  'message_send', 'message_review',
+  'survey_create', 'survey_update', 'survey_invite',
+  'other'
+];
+
 const logSchema = new mongoose.Schema({
   who: { type: String, required: true, trim: true },
-  what: { type: String, required: true, trim: true }
+  what: { type: String, required: true, trim: true },
+
+  action: { type: String, enum: ACTIONS, default: 'other' },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'user' },
+  realActor: { type: mongoose.Schema.Types.ObjectId, ref: 'user' }, // totoong user kapag naka-impersonate
+
+  target: { type: mongoose.Schema.Types.ObjectId, refPath: 'targetModel' },
+  targetModel: { type: String, trim: true },
+
+  ipAddress: { type: String, trim: true },
+  userAgent: { type: String, trim: true },
+  meta: { type: mongoose.Schema.Types.Mixed }
 }, {
   timestamps: true // automatically adds createdAt & updatedAt
 });
 
+logSchema.index({ createdAt: -1 });
+logSchema.index({ actor: 1, createdAt: -1 });
+logSchema.index({ action: 1, createdAt: -1 });
+
+logSchema.statics.ACTIONS = ACTIONS;
+
 module.exports = mongoose.model('logs', logSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { MAX_MESSAGE_LENGTH } = require('../config/messages');
+
+const SIDES = ['applicant', 'employer'];
+
+// Naka-store sa private storage gaya ng documents (see utils/storage)
+const attachmentSchema = new mongoose.Schema({
+  driver: { type: String, trim: true },
+  key: { type: String, trim: true },
+  mime: { type: String, trim: true },
+  size: { type: Number },
+  originalName: { type: String, trim: true }
+});
+
+// Isang thread per application. Walang delete: naka-keep lahat para sa review ng registrar kapag may reklamo.
+const messageSchema = new mongoose.Schema({
+  application: { type: mongoose.Schema.Types.ObjectId, ref: 'application', required: true },
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'user', required: true },
+  senderName: { type: String, trim: true },
+  side: { type: String, enum: SIDES, required: true },
+
+  body: { type: String, trim: true, maxlength: MAX_MESSAGE_LENGTH },
+  attachments: [attachmentSchema],
+  template: { type: mongoose.Schema.Types.ObjectId, ref: 'messageTemplate' }, // kung galing sa canned template
+
+  readAt: { type: Date } // read receipt: kailan binuksan ng kabilang side
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ application: 1, createdAt: 1 });
+messageSchema.index({ application: 1, side: 1, readAt: 1 });
+
+messageSchema.statics.SIDES = SIDES;
+
+// Hindi pa nababasa ng `side`, per application => { [applicationId]: count }
+messageSchema.statics.unreadBy = async function (side, applicationIds) {
+  const counts = await this.aggregate([
+    { $match: { application: { $in: applicationIds }, side: { $ne: side }, readAt: null } },
+    { $group: { _id: '$application', count: { $sum: 1 } } }
+  ]);
+  return Object.fromEntries(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+// Binuksan ng `side` ang thread => basa na lahat ng galing sa kabila
+messageSchema.statics.markRead = function (applicationId, side) {
+  return this.updateMany({ application: applicationId, side: { $ne: side }, readAt: null }, { readAt: new Date() });
+};
+
+module.exports = mongoose.model('message', messageSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+const { MAX_MESSAGE_LENGTH } = require('../config/messages');
+
+// Canned messages ng employer; may {{name}}, {{job}}, {{company}} placeholders (see config/messages)
+const messageTemplateSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'user', required: true },
+  name: { type: String, required: [true, 'Template name is required.'], trim: true, maxlength: 80 },
+  body: { type: String, required: [true, 'Template message is required.'], trim: true, maxlength: MAX_MESSAGE_LENGTH }
+}, {
+  timestamps: true
+});
+
+messageTemplateSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('messageTemplate', messageTemplateSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'user', required: true },
+  type: { type: String, enum: Object.keys(NOTIFICATION_TYPES), required: true },
+  title: { type: String, required: true, trim: true },
+  body: { type: String, trim: true },
+  link: { type: String, trim: true }, // saan dadalhin pag na-click
+
+  // Channels na naka-on noong ginawa ito (galing sa preferences ng user)
+  inApp: { type: Boolean, default: true },
+  email: { type: Boolean, default: false },
+
+  readAt: { type: Date },
+  emailedAt: { type: Date }, // kailan naisama sa digest
+  digest: { type: String }, // claim ng digest run na nagpadala nito (see sendDigests)
+  meta: { type: mongoose.Schema.Types.Mixed },
+
+  expireAt: { type: Date, default: () => new Date(Date.now() + 180 * 24 * 60 * 60 * 1000) } // 6 months
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, inApp: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ email: 1, emailedAt: 1, user: 1 });
+notificationSchema.index({ digest: 1 }, { sparse: true });
+notificationSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+// Para sa badge
+notificationSchema.statics.unreadCount = function (userId) {
+  return this.countDocuments({ user: userId, inApp: true, readAt: null });
+};
+
+module.exports = mongoose.model('notification', notificationSchema);
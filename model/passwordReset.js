@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Single-use reset token. Hash lang ng token ang naka-save, hindi ang mismong token.
+const passwordResetSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'user', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date },
+  ipAddress: { type: String, trim: true }
+}, {
+  timestamps: true
+});
+
+// Mongo TTL: burahin isang araw after mag-expire
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 });
+
+module.exports = mongoose.model('passwordReset', passwordResetSchema);
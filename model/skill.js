@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const KINDS = ['technical', 'soft'];
+
+// Managed skills taxonomy; synonyms = ibang tawag sa parehong skill (e.g. "MS Excel", "Excel", "Spreadsheets")
+const skillSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  kind: { type: String, enum: KINDS, default: 'technical' },
+  synonyms: [{ type: String, trim: true }],
+  active: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+skillSchema.index({ kind: 1, active: 1, name: 1 });
+
+skillSchema.statics.KINDS = KINDS;
+
+// Comma-separated na synonyms galing sa form => malinis na listahan (walang ulit, hindi kapareho ng name)
+skillSchema.statics.parseSynonyms = function (value, name = '') {
+  const seen = new Set([name.trim().toLowerCase()]);
+  return String(value || '').split(',').map(item => item.trim()).filter(item => {
+    const key = item.toLowerCase();
+    if (!item || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+module.exports = mongoose.model('skill', skillSchema);
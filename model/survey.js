@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const {
+  QUESTION_TYPES, CHOICE_TYPES, SURVEY_STATUSES, REPORT_TAGS
+} = require('../config/surveys');
+
+// key = stable id ng question (q1, q2, ...) para hindi masira ang sagot at branching kapag ni-reorder
+const questionSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  label: { type: String, required: [true, 'Question text is required.'], trim: true, maxlength: 300 },
+  type: { type: String, enum: Object.keys(QUESTION_TYPES), required: true },
+  required: { type: Boolean, default: false },
+  options: [{ type: String, trim: true }],
+  min: { type: Number },
+  max: { type: Number },
+  reportAs: { type: String, enum: Object.keys(REPORT_TAGS) }, // gamit ng aggregate reports
+
+  // Branching: ipakita lang kapag ang sagot sa naunang question ay isa sa `values`
+  showIf: {
+    key: { type: String },
+    values: [{ type: String, trim: true }]
+  }
+}, { _id: false });
+
+const surveySchema = new mongoose.Schema({
+  title: { type: String, required: [true, 'Survey title is required.'], trim: true, maxlength: 150 },
+  description: { type: String, trim: true, maxlength: 2000 },
+  anonymous: { type: Boolean, default: false }, // true = walang pangalan sa responses, cohort lang
+
+  status: { type: String, enum: SURVEY_STATUSES, default: 'draft' },
+  openedAt: { type: Date },
+  closedAt: { type: Date },
+
+  // Sino ang iimbitahan; blangko = lahat (roles default: DEFAULT_AUDIENCE_ROLES)
+  audience: {
+    roles: [{ type: String, trim: true }],
+    courses: [{ type: String, trim: true }],
+    years: [{ type: String, trim: true }],
+    campuses: [{ type: String, trim: true }]
+  },
+
+  questions: [questionSchema],
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'user' },
+  createdByName: { type: String, trim: true }
+}, {
+  timestamps: true
+});
+
+surveySchema.index({ status: 1, createdAt: -1 });
+
+surveySchema.statics.STATUSES = SURVEY_STATUSES;
+
+surveySchema.methods.question = function (key) {
+  return this.questions.find(question => question.key === key) || null;
+};
+
+surveySchema.methods.nextKey = function () {
+  const used = this.questions.map(question => parseInt(question.key.slice(1), 10) || 0);
+  return `q${Math.max(0, ...used) + 1}`;
+};
+
+// Choices, report tags, at branching ay dapat consistent bago i-save
+surveySchema.pre('validate', function () {
+  const tags = new Set();
+
+  this.questions.forEach((question, index) => {
+    const number = `Question ${index + 1}`;
+
+    if (CHOICE_TYPES.includes(question.type) && question.options.length < 2) {
+      this.invalidate(`questions.${index}.options`, `${number} needs at least two choices.`);
+    }
+    if (question.reportAs) {
+      if (tags.has(question.reportAs)) {
+        this.invalidate(`questions.${index}.reportAs`, `${number}: only one question can be used for "${REPORT_TAGS[question.reportAs].label}".`);
+      }
+      tags.add(question.reportAs);
+    }
+
+    if (question.showIf && question.showIf.key) {
+      const earlier = this.questions.slice(0, index).find(item => item.key === question.showIf.key);
+      if (!earlier || !CHOICE_TYPES.includes(earlier.type)) {
+        this.invalidate(`questions.${index}.showIf`, `${number} can only depend on a multiple choice question above it.`);
+      } else if (!question.showIf.values.length || question.showIf.values.some(value => !earlier.options.includes(value))) {
+        this.invalidate(`questions.${index}.showIf`, `${number}: pick which answers of "${earlier.label}" show this question.`);
+      }
+    }
+  });
+});
+
+module.exports = mongoose.model('survey', surveySchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Sino ang inimbitahan sa survey at kung sumagot na; hiwalay sa response para manatiling anonymous ang sagot
+const surveyInvitationSchema = new mongoose.Schema({
+  survey: { type: mongoose.Schema.Types.ObjectId, ref: 'survey', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'user', required: true },
+  invitedAt: { type: Date, default: Date.now },
+  remindedAt: { type: Date },
+  respondedAt: { type: Date } // araw lang (walang oras) kapag anonymous ang survey
+});
+
+surveyInvitationSchema.index({ survey: 1, user: 1 }, { unique: true });
+surveyInvitationSchema.index({ user: 1, respondedAt: 1 });
+
+module.exports = mongoose.model('surveyInvitation', surveyInvitationSchema);
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const answerSchema = new mongoose.Schema({
+  key: { type: String, required: true }, // survey.questions[].key
+  value: { type: mongoose.Schema.Types.Mixed } // String, Number, o [String] (checkboxes)
+}, { _id: false });
+
+// Isang response per invitation. Kapag anonymous ang survey, walang `user` at araw lang ang submittedAt;
+// ang cohort (course, year, campus) ang ginagamit ng reports.
+// Random UUID ang _id (hindi ObjectId) dahil may oras hanggang segundo ang ObjectId na maitutugma sa invitation.
+const surveyResponseSchema = new mongoose.Schema({
+  _id: { type: String, default: () => crypto.randomUUID() },
+  survey: { type: mongoose.Schema.Types.ObjectId, ref: 'survey', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'user' },
+
+  cohort: {
+    role: { type: String, trim: true },
+    course: { type: String, trim: true },
+    yearGraduated: { type: String, trim: true },
+    campus: { type: String, trim: true }
+  },
+
+  answers: [answerSchema],
+  submittedAt: { type: Date, default: Date.now }
+});
+
+surveyResponseSchema.index({ survey: 1, 'cohort.course': 1 });
+surveyResponseSchema.index({ survey: 1, user: 1 });
+
+module.exports = mongoose.model('surveyResponse', surveyResponseSchema);
@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Work factor ng bcrypt, pwedeng taasan sa .env (BCRYPT_ROUNDS)
+const SALT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 10;
+const HASH_PATTERN = /^\$2[aby]\$\d{2}\$.{53}$/;
+
+// History ng bawat suspension, hindi na na-o-overwrite ang dating reason
+const suspensionSchema = new mongoose.Schema({
+  reason: { type: String, required: true, trim: true },
+  at: { type: Date, default: Date.now },
+  until: { type: Date },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'user' },
+  byName: { type: String, trim: true },
+  liftedAt: { type: Date },
+  liftedByName: { type: String, trim: true },
+  liftReason: { type: String, trim: true }
+});
 
 const userSchema = new mongoose.Schema({
   fName: { type: String, required: true, trim: true },
@@ -16,10 +33,12 @@ const userSchema = new mongoose.Schema({
   suspend: { type: Boolean, default: false },
   suspendAt: { type: Date },
   suspendIs: { type: String, trim: true },
+  suspendUntil: { type: Date }, // walang laman = indefinite
+  suspensions: [suspensionSchema],
 
   role: {
     type: String,
-    enum: ['Student', 'Registrar','Accounting','Admin','Head','Alumni','Former','Seed','Dev'],
+    enum: ['Student', 'Registrar','Accounting','Admin','Head','Alumni','Former','Seed','Dev','Employer'],
     required: true
   },
   assign: { type: String, trim: true },
@@ -30,6 +49,7 @@ const userSchema = new mongoose.Schema({
 
   position: { type: String, trim: true },
   department: { type: String, trim: true },
+  company: { type: mongoose.Schema.Types.ObjectId, ref: 'company' }, // para sa Employer accounts
 
   email: { type: String, required: true, unique: true, lowercase: true, trim: true },
   phone: { type: String, trim: true },
@@ -46,8 +66,19 @@ const userSchema = new mongoose.Schema({
   yearGraduated: { type: String, trim: true },
   yearAttended: { type: String, trim: true },
 
+  workMode: { type: String, trim: true },
+  skills: [{ type: String, trim: true }],
+  softSkills: [{ type: String, trim: true }],
+  experience: { type: String, trim: true },
+  availability: { type: String, trim: true },
+
   photo: { type: String, trim: true },
   vId: { type: String, trim: true },
+  resume: { type: String, trim: true },
+  diploma: { type: String, trim: true },
+
+  // { <notification type>: { inApp, email } }, see config/notifications.js para sa defaults
+  notificationPrefs: { type: mongoose.Schema.Types.Mixed, default: {} },
 
   username: { type: String, required: true, unique: true, trim: true },
   password: { type: String, required: true }
@@ -55,4 +86,61 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Hash the password whenever it is set or changed (skip values that are already hashed)
+userSchema.pre('save', async function () {
+  if (!this.isModified('password') || HASH_PATTERN.test(this.password)) return;
+  this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+});
+
+userSchema.statics.isHashed = function (password) {
+  return HASH_PATTERN.test(password || '');
+};
+
+// Mga account na naghihintay ng verification (see /verifications at /dsb)
+userSchema.statics.pendingVerificationQuery = function () {
+  return { verify: false, archive: false, access: 0, unverifyAt: null };
+};
+
+userSchema.methods.isPasswordHashed = function () {
+  return HASH_PATTERN.test(this.password || '');
+};
+
+// Old accounts still have plaintext passwords, so compare those directly
+userSchema.methods.comparePassword = async function (candidate) {
+  if (!candidate || !this.password) return false;
+  if (!this.isPasswordHashed()) return this.password === candidate;
+  return bcrypt.compare(candidate, this.password);
+};
+
+userSchema.methods.isSuspended = function () {
+  return Boolean(this.suspend) && (!this.suspendUntil || this.suspendUntil > new Date());
+};
+
+userSchema.methods.suspendAccount = function ({ reason, until, by, byName }) {
+  this.suspend = true;
+  this.suspendAt = new Date();
+  this.suspendIs = reason;
+  this.suspendUntil = until || undefined;
+  this.suspensions.push({ reason, until, by, byName });
+};
+
+userSchema.methods.reinstate = function ({ byName, reason } = {}) {
+  const current = this.suspensions.find(s => !s.liftedAt);
+  if (current) {
+    current.liftedAt = new Date();
+    current.liftedByName = byName;
+    current.liftReason = reason;
+  }
+  this.suspend = false;
+  this.suspendUntil = undefined;
+};
+
+// Tapos na ang suspension period? Automatic lift, returns true kapag may binago
+userSchema.methods.liftExpiredSuspension = async function () {
+  if (!this.suspend || !this.suspendUntil || this.suspendUntil > new Date()) return false;
+  this.reinstate({ byName: 'SYSTEM', reason: 'Suspension period ended' });
+  await this.save();
+  return true;
+};
+
 module.exports = mongoose.model('user', userSchema);
@@ -0,0 +1,32 @@
+// Archive expired logs to compressed NDJSON then delete them (see config/retention.js)
+//   npm run logs:archive              -> archive + delete
+//   npm run logs:archive -- --dry-run -> bilangin lang kung ilan ang ma-a-archive
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+
+const { archiveExpiredLogs } = require('../utils/logArchive');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function run() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const results = await archiveExpiredLogs({ dryRun });
+
+  if (!results.length) {
+    console.log('🗄️  No expired logs to archive.');
+    return;
+  }
+
+  results.forEach(({ action, cutoff, archived, file }) => {
+    console.log(`🗄️  ${action}: ${archived} log(s) older than ${cutoff.toISOString()}${file ? ` -> ${path.relative(process.cwd(), file)}` : ' (dry run)'}`);
+  });
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Log archival failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
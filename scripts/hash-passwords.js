@@ -0,0 +1,40 @@
+// One-off migration: i-report (at i-hash kung may --apply) ang mga account na plaintext pa ang password
+//   npm run migrate:passwords            -> report only
+//   npm run migrate:passwords -- --apply -> hash every plaintext password in place
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const users = require('../model/user');
+
+const apply = process.argv.includes('--apply');
+
+async function run() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const all = await users.find({}, 'username password');
+  const unhashed = all.filter(user => !user.isPasswordHashed());
+
+  console.log(`🔐 ${all.length} accounts checked, ${unhashed.length} still unhashed.`);
+
+  if (!apply) {
+    unhashed.forEach(user => console.log(`   - ${user.username}`));
+    if (unhashed.length) console.log('Run again with --apply to hash them now.');
+    return;
+  }
+
+  for (const user of unhashed) {
+    user.markModified('password');
+    await user.save({ validateBeforeSave: false });
+    console.log(`✅ Hashed password of "${user.username}"`);
+  }
+
+  const remaining = (await users.find({}, 'password')).filter(user => !user.isPasswordHashed()).length;
+  console.log(`🔐 Done. ${remaining} accounts still unhashed.`);
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Password migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
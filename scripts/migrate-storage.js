@@ -0,0 +1,142 @@
+// Ilipat ang mga file mula sa isang storage driver papunta sa iba (e.g. Cloudinary -> local disk)
+//   npm run storage:migrate -- --from=cloudinary --to=local          -> report only
+//   npm run storage:migrate -- --from=cloudinary --to=local --apply  -> copy at i-update ang records
+//   idagdag ang --delete para burahin ang luma pagkatapos makopya
+// Ang mga upload bago nagkaroon ng drivers (URL lang, walang driver/key) ay galing sa Cloudinary,
+// kaya kasama sila kapag --from=cloudinary; sa ibang --from ay inire-report lang.
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Document = require('../model/document');
+const Company = require('../model/company');
+const Message = require('../model/message');
+const { driverFor, putFile, readFile, removeFile } = require('../utils/storage');
+const { sniffMime } = require('../utils/documents');
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const arg = args.find(item => item.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+};
+const from = option('from');
+const to = option('to');
+const apply = args.includes('--apply');
+const deleteOld = args.includes('--delete');
+
+// Lumang row: URL lang ang naka-save
+const isLegacy = (file) => Boolean(file && !file.driver && file.url);
+const fromSource = (file) => file.driver === from || (from === 'cloudinary' && isLegacy(file));
+
+async function download(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Download failed (${response.status}) for ${url}`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Kopyahin ang isang { driver, key } o lumang { url } at ibalik ang bago (extension galing sa laman, hindi sa lumang key)
+async function copy(file, options) {
+  const buffer = isLegacy(file) ? await download(file.url) : await readFile(file);
+  const stored = await putFile(buffer, { ...options, mime: sniffMime(buffer) }, to);
+  // Walang key ang lumang rows kaya hindi mabubura; manual na lang sa Cloudinary console
+  if (deleteOld && !isLegacy(file)) await removeFile(file);
+  return stored;
+}
+
+const logoOf = (company) => (company.logoFile && company.logoFile.driver ? company.logoFile : { url: company.logo });
+
+async function run() {
+  if (!from || !to || from === to) {
+    throw new Error('Usage: npm run storage:migrate -- --from=<driver> --to=<driver> [--apply] [--delete]');
+  }
+  driverFor(from);
+  driverFor(to);
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let copied = 0;
+  let failed = 0;
+
+  const legacyVersion = { versions: { $elemMatch: { driver: null, url: { $nin: [null, ''] } } } };
+  const legacyLogo = { 'logoFile.driver': null, logo: { $nin: [null, ''] } };
+
+  const documents = (await Document.find({ $or: [{ 'versions.driver': from }, legacyVersion] }))
+    .filter(doc => doc.versions.some(fromSource));
+  const versions = documents.reduce((total, doc) => total + doc.versions.filter(fromSource).length, 0);
+  const companies = (await Company.find({ $or: [{ 'logoFile.driver': from }, legacyLogo] }))
+    .filter(company => fromSource(logoOf(company)));
+  // Message attachments ay laging may driver/key (walang lumang URL-only rows)
+  const messages = await Message.find({ 'attachments.driver': from });
+  const attachments = messages.reduce((total, message) => total + message.attachments.filter(fromSource).length, 0);
+
+  console.log(`🗂️  ${versions} document version(s) in ${documents.length} document(s), ${companies.length} company logo(s) and ${attachments} message attachment(s) on "${from}".`);
+
+  if (from !== 'cloudinary') {
+    const [legacyDocuments, legacyCompanies] = await Promise.all([
+      Document.countDocuments(legacyVersion),
+      Company.countDocuments(legacyLogo)
+    ]);
+    if (legacyDocuments || legacyCompanies) {
+      console.log(`⚠️  Skipped ${legacyDocuments} document(s) and ${legacyCompanies} company logo(s) that only have a URL (old Cloudinary uploads). Use --from=cloudinary to move them.`);
+    }
+  }
+
+  if (!apply) {
+    if (versions || companies.length || attachments) console.log(`Run again with --apply to copy them to "${to}".`);
+    return;
+  }
+
+  for (const document of documents) {
+    for (const version of document.versions.filter(fromSource)) {
+      try {
+        const stored = await copy(version, { folder: 'documents', filename: version.originalName || version.url, private: true });
+        version.driver = stored.driver;
+        version.key = stored.key;
+        version.url = undefined;
+        copied++;
+      } catch (err) {
+        failed++;
+        console.error(`❌ ${document._id} v${version.version}: ${err.message}`);
+      }
+    }
+    await document.save();
+  }
+
+  for (const company of companies) {
+    const logo = logoOf(company);
+    try {
+      const stored = await copy(logo, { folder: 'photos', filename: (logo.key || logo.url).split('/').pop() });
+      company.logoFile = { driver: stored.driver, key: stored.key };
+      company.logo = stored.url;
+      await company.save();
+      copied++;
+    } catch (err) {
+      failed++;
+      console.error(`❌ Logo of ${company.name}: ${err.message}`);
+    }
+  }
+
+  for (const message of messages) {
+    for (const attachment of message.attachments.filter(fromSource)) {
+      try {
+        const stored = await copy(attachment, { folder: 'messages', filename: attachment.originalName || attachment.key, private: true });
+        attachment.driver = stored.driver;
+        attachment.key = stored.key;
+        copied++;
+      } catch (err) {
+        failed++;
+        console.error(`❌ Message ${message._id} attachment ${attachment.originalName || attachment.key}: ${err.message}`);
+      }
+    }
+    await message.save();
+  }
+
+  console.log(`✅ Copied ${copied} file(s) to "${to}"${failed ? `, ${failed} failed` : ''}.`);
+  if (failed) process.exitCode = 1;
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Storage migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
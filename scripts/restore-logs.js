@@ -0,0 +1,28 @@
+// Restore a log archive into a scratch collection para ma-imbestigahan
+//   npm run logs:restore -- archives/logs/logs-login_failed-....ndjson.gz [--into=logs_restore_case12]
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const { restoreArchive } = require('../utils/logArchive');
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--'));
+const intoArg = args.find(arg => arg.startsWith('--into='));
+
+async function run() {
+  if (!file) {
+    throw new Error('Usage: npm run logs:restore -- <archive.ndjson.gz> [--into=<collection>]');
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const { collection, restored } = await restoreArchive(file, intoArg ? intoArg.slice('--into='.length) : undefined);
+  console.log(`📦 Restored ${restored} log(s) into "${collection}"`);
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Log restore failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
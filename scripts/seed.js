@@ -0,0 +1,96 @@
+// Seed command (idempotent): gagawa lang ng records na wala pa.
+//   npm run seed                  -> seeds/fixtures.json (o SEED_FILE sa .env)
+//   npm run seed -- --file=x.json -> ibang fixture file
+//   npm run seed -- --reset       -> local dev only: burahin muna ang mga record na galing sa fixtures
+//                                    (ayon sa `key`; hindi ginagalaw ang ibang users, logs, atbp.)
+//
+// Fixture format: { "<section>": { "model": "<file in model/>", "key": ["field"], "items": [ {...} ] } }
+// `key` = natural key ng fixture (e.g. username + email), ito ang basehan kung nandiyan na o buburahin.
+// A value like { "$ref": "company", "name": "Microsoft" } is replaced by the _id of the matching document.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const args = process.argv.slice(2);
+const reset = args.includes('--reset');
+const fileArg = args.find(arg => arg.startsWith('--file='));
+const file = path.resolve(fileArg ? fileArg.slice('--file='.length) : (process.env.SEED_FILE || path.join(__dirname, '..', 'seeds', 'fixtures.json')));
+
+const loadModel = (name) => require(path.join(__dirname, '..', 'model', name));
+
+async function resolveRefs(item) {
+  const resolved = {};
+  for (const [field, value] of Object.entries(item)) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && value.$ref) {
+      const { $ref, ...query } = value;
+      const doc = await loadModel($ref).findOne(query);
+      if (!doc) throw new Error(`Reference not found: ${$ref} ${JSON.stringify(query)}`);
+      resolved[field] = doc._id;
+    } else {
+      resolved[field] = value;
+    }
+  }
+  return resolved;
+}
+
+const keyQuery = (key, data) => Object.fromEntries(key.map(field => [field, data[field]]));
+
+async function run() {
+  const fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (reset && process.env.NODE_ENV === 'production') {
+    throw new Error('--reset is for local development only (NODE_ENV=production).');
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`🌱 Seeding from ${path.relative(process.cwd(), file)}`);
+
+  // Baliktad ang order para ma-resolve pa ang $ref (e.g. company ng jobs) bago mabura ang tinutukoy nito
+  if (reset) {
+    for (const [section, { model, key, items = [] }] of Object.entries(fixtures).reverse()) {
+      const Model = loadModel(model);
+      let removed = 0;
+
+      for (const item of items) {
+        const data = await resolveRefs(item).catch(() => null);
+        if (!data) continue; // wala na ang reference, kaya wala ring fixture record
+
+        const { deletedCount } = await Model.deleteOne(keyQuery(key, data));
+        removed += deletedCount;
+      }
+      console.log(`🧹 ${section}: removed ${removed} fixture document(s)`);
+    }
+  }
+
+  // Sunod-sunod ayon sa file, para ma-resolve ang $ref ng mga naunang section
+  for (const [section, { model, key, items = [] }] of Object.entries(fixtures)) {
+    const Model = loadModel(model);
+    let created = 0;
+    let conflicts = 0;
+
+    for (const item of items) {
+      const data = await resolveRefs(item);
+      if (await Model.exists(keyQuery(key, data))) continue;
+
+      try {
+        await Model.create(data); // create() para tumakbo ang pre-save hooks (password hashing)
+        created++;
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        // May totoong record na kapareho ng unique field (e.g. username) pero hindi fixture: huwag galawin
+        conflicts++;
+        console.warn(`⚠️  ${section}: skipped ${JSON.stringify(keyQuery(key, data))}, already used by another record`);
+      }
+    }
+
+    console.log(`✅ ${section}: ${created} created, ${items.length - created - conflicts} already there${conflicts ? `, ${conflicts} skipped` : ''}`);
+  }
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Seeding failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,25 @@
+// Ipadala ngayon ang lahat ng naipong notification emails, kahit hindi pa umaabot ng NOTIFICATION_DIGEST_HOURS
+// (normally ang app na ang nagpapadala; ligtas patakbuhin nang sabay dahil kine-claim ang bawat batch)
+//   npm run notifications:digest
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const { sendDigests } = require('../utils/notifications');
+
+async function run() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const result = await sendDigests({ minAgeHours: 0 });
+  console.log(`📬 Sent ${result.users} digest(s) covering ${result.notifications} notification(s)`);
+  if (result.failed) {
+    console.error(`⚠️ ${result.failed} digest(s) failed to send and were kept for the next run`);
+    process.exitCode = 1;
+  }
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Digest failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
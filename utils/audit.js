@@ -0,0 +1,43 @@
+const Log = require('../model/logs');
+
+const fullName = (user) => [user.fName, user.mName, user.lName, user.xName].filter(Boolean).join(' ');
+
+// req.ip: galing lang sa X-Forwarded-For kapag naka-set ang TRUST_PROXY (see app.js), kaya hindi ma-spoof
+const getIp = (req) => req.ip || req.socket.remoteAddress;
+
+// Pangalan para sa Log; pag naka-impersonate, kasama ang totoong user at ang ginagamit na account
+function whoIs(req, effectiveUser = req.user || req.session.user) {
+  if (req.session && req.session.impersonator) {
+    return `${fullName(req.session.impersonator)} (as ${fullName(effectiveUser)})`;
+  }
+  return fullName(effectiveUser);
+}
+
+/**
+ * Isulat ang isang audit entry sa logs.
+ *   await audit(req, 'verify', `Approved ${name}`, { target: user });
+ * options.actor   - sino ang gumawa (default: naka-login na user)
+ * options.who     - label kapag walang actor (e.g. 'NEW VISIT', username sa failed login)
+ * options.target  - document na apektado (model name is taken from the document)
+ * options.meta    - kahit anong dagdag na detalye
+ */
+async function audit(req, action, what, options = {}) {
+  const actor = options.actor !== undefined ? options.actor : (req.user || (req.session && req.session.user) || null);
+  const impersonator = req.session && req.session.impersonator;
+  const target = options.target || null;
+
+  return Log.create({
+    who: actor ? whoIs(req, actor) : (options.who || 'UNKNOWN'),
+    what,
+    action,
+    actor: actor ? actor._id : undefined,
+    realActor: impersonator && actor ? impersonator._id : undefined,
+    target: target ? target._id : undefined,
+    targetModel: target && target.constructor.modelName ? target.constructor.modelName : undefined,
+    ipAddress: getIp(req),
+    userAgent: req.headers['user-agent'],
+    meta: options.meta
+  });
+}
+
+module.exports = { audit, whoIs, fullName, getIp };
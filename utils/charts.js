@@ -0,0 +1,52 @@
+// Geometry ng inline SVG charts (see views/partials/barChart.ejs at lineChart.ejs).
+// Server-side lahat para walang chart library o CDN na kailangan.
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Horizontal bars.
+ *   barChart([{ label: 'Alumni', value: 12 }], { width: 600 })
+ */
+function barChart(items, { width = 600, barHeight = 20, gap = 8, labelWidth = 150 } = {}) {
+  const max = Math.max(1, ...items.map(item => item.value));
+  const plot = width - labelWidth - 50; // space sa kanan para sa value
+  return {
+    width,
+    height: Math.max(items.length, 1) * (barHeight + gap) + gap,
+    labelWidth,
+    bars: items.map((item, i) => ({
+      ...item,
+      y: gap + i * (barHeight + gap),
+      w: round((item.value / max) * plot),
+      h: barHeight
+    }))
+  };
+}
+
+/**
+ * Line chart ng isa o higit pang series sa iisang x-axis.
+ *   lineChart(days, [{ key: 'login', label: 'Logins', color: 'blue500' }])
+ * points = [{ label, [series.key]: number }]
+ */
+function lineChart(points, series, { width = 640, height = 220, padding = 36, maxLabels = 7 } = {}) {
+  const max = Math.max(1, ...points.flatMap(point => series.map(line => point[line.key] || 0)));
+  const step = points.length > 1 ? (width - padding * 2) / (points.length - 1) : 0;
+  const x = (i) => round(padding + i * step);
+  const y = (value) => round(height - padding - (value / max) * (height - padding * 2));
+  const every = Math.max(1, Math.ceil(points.length / maxLabels));
+
+  return {
+    width,
+    height,
+    padding,
+    ticks: [...new Set([0, Math.round(max / 2), max])].map(value => ({ value, y: y(value) })),
+    labels: points.map((point, i) => ({ text: point.label, x: x(i) })).filter((label, i) => i % every === 0 || i === points.length - 1),
+    series: series.map(line => ({
+      ...line,
+      path: points.map((point, i) => `${x(i)},${y(point[line.key] || 0)}`).join(' '),
+      dots: points.map((point, i) => ({ x: x(i), y: y(point[line.key] || 0), value: point[line.key] || 0, label: point.label }))
+    }))
+  };
+}
+
+module.exports = { barChart, lineChart };
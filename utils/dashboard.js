@@ -0,0 +1,179 @@
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+const users = require('../model/user');
+const Log = require('../model/logs');
+const Job = require('../model/job');
+const Application = require('../model/application');
+const Company = require('../model/company');
+const Document = require('../model/document');
+const { STAGES } = require('../config/pipeline');
+const { can } = require('../config/roles');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Gaano katagal (seconds) naka-cache ang bawat metric; pare-pareho sa lahat ng viewer kaya isang cache lang
+const CACHE_SECONDS = Number(process.env.DASHBOARD_CACHE_SECONDS) || 60;
+const LOGIN_DAYS = 14;
+const TIMEZONE = process.env.TZ || 'Asia/Manila';
+
+const cache = new Map();
+
+// Promise ang naka-cache para iisang query lang kahit sabay-sabay ang nag-load
+function cached(key, load, { refresh = false } = {}) {
+  const hit = cache.get(key);
+  if (!refresh && hit && hit.expires > Date.now()) return hit.promise;
+
+  const promise = load().then(value => ({ value, at: new Date() }));
+  cache.set(key, { promise, expires: Date.now() + CACHE_SECONDS * 1000 });
+  promise.catch(() => cache.delete(key)); // huwag i-cache ang error
+  return promise;
+}
+
+const toCounts = (rows, fallback = 'Unspecified') =>
+  rows.map(({ _id, count }) => ({ label: _id || fallback, value: count })).sort((a, b) => b.value - a.value);
+
+// ---------- metrics ----------
+
+async function userMetrics() {
+  const [result] = await users.aggregate([
+    {
+      $facet: {
+        byRole: [{ $group: { _id: '$role', count: { $sum: 1 } } }],
+        byCampus: [{ $match: { access: 0, archive: { $ne: true } } }, { $group: { _id: '$campus', count: { $sum: 1 } } }],
+        states: [{
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            archived: { $sum: { $cond: ['$archive', 1, 0] } },
+            suspended: { $sum: { $cond: [{ $and: ['$suspend', { $not: ['$archive'] }] }, 1, 0] } },
+            verified: { $sum: { $cond: [{ $and: ['$verify', { $not: ['$archive'] }] }, 1, 0] } },
+            unverified: { $sum: { $cond: [{ $and: [{ $not: ['$verify'] }, { $not: ['$archive'] }] }, 1, 0] } }
+          }
+        }]
+      }
+    }
+  ]);
+
+  const states = result.states[0] || { total: 0, archived: 0, suspended: 0, verified: 0, unverified: 0 };
+  return {
+    total: states.total,
+    byRole: toCounts(result.byRole),
+    byCampus: toCounts(result.byCampus),
+    verification: [
+      { label: 'Verified', value: states.verified },
+      { label: 'Unverified', value: states.unverified },
+      { label: 'Suspended', value: states.suspended },
+      { label: 'Archived', value: states.archived }
+    ]
+  };
+}
+
+async function reviewMetrics() {
+  const [verifications, documents, resubmissions, companies] = await Promise.all([
+    users.countDocuments(users.pendingVerificationQuery()),
+    Document.countDocuments({ status: 'pending', removedAt: null }),
+    Document.countDocuments({ status: 'needs_resubmission', removedAt: null }),
+    Company.countDocuments({ verified: { $ne: true } })
+  ]);
+  return { verifications, documents, resubmissions, companies };
+}
+
+// Logins per araw (successful at failed) sa huling LOGIN_DAYS na araw, kasama ang mga araw na walang login.
+// Iisang TIMEZONE sa window, sa labels, at sa $dateToString para magtugma kahit UTC ang server.
+async function loginMetrics() {
+  const since = dayjs().tz(TIMEZONE).startOf('day').subtract(LOGIN_DAYS - 1, 'day');
+
+  const rows = await Log.aggregate([
+    { $match: { action: { $in: ['login', 'login_failed'] }, createdAt: { $gte: since.toDate() } } },
+    {
+      $group: {
+        _id: { day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: TIMEZONE } }, action: '$action' },
+        count: { $sum: 1 },
+        users: { $addToSet: '$actor' }
+      }
+    }
+  ]);
+
+  const find = (day, action) => rows.find(({ _id }) => _id.day === day && _id.action === action);
+  const days = Array.from({ length: LOGIN_DAYS }, (_, i) => {
+    const day = since.add(i, 'day');
+    const key = day.format('YYYY-MM-DD');
+    const ok = find(key, 'login');
+    const failed = find(key, 'login_failed');
+    return {
+      label: day.format('MMM D'),
+      login: ok ? ok.count : 0,
+      uniqueUsers: ok ? ok.users.length : 0,
+      login_failed: failed ? failed.count : 0
+    };
+  });
+
+  return {
+    days,
+    total: days.reduce((sum, day) => sum + day.login, 0),
+    failed: days.reduce((sum, day) => sum + day.login_failed, 0)
+  };
+}
+
+// Jobs at application funnel: ilan ang umabot sa bawat stage (galing sa history, hindi lang current status)
+async function funnelMetrics() {
+  const [openJobs, jobsByStatus, reached, current] = await Promise.all([
+    Job.countDocuments(Job.openQuery()),
+    Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    Application.aggregate([
+      { $project: { stages: { $setUnion: [{ $ifNull: ['$history.to', []] }, ['$status']] } } },
+      { $unwind: '$stages' },
+      { $group: { _id: '$stages', count: { $sum: 1 } } }
+    ]),
+    Application.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+
+  const countOf = (rows, id) => (rows.find(row => row._id === id) || { count: 0 }).count;
+  const applications = current.reduce((sum, row) => sum + row.count, 0);
+
+  return {
+    openJobs,
+    jobs: toCounts(jobsByStatus),
+    applications,
+    funnel: STAGES.map(stage => ({ label: stage, value: countOf(reached, stage), current: countOf(current, stage) }))
+  };
+}
+
+// Accounting (/trs): employer partners at postings nila
+async function partnerMetrics() {
+  const monthStart = dayjs().startOf('month').toDate();
+  const [companies, verifiedCompanies, employers, openJobs, newJobs, newApplications] = await Promise.all([
+    Company.countDocuments(),
+    Company.countDocuments({ verified: true }),
+    users.countDocuments({ role: 'Employer', archive: { $ne: true } }),
+    Job.countDocuments(Job.openQuery()),
+    Job.countDocuments({ createdAt: { $gte: monthStart } }),
+    Application.countDocuments({ createdAt: { $gte: monthStart } })
+  ]);
+  return { companies, verifiedCompanies, employers, openJobs, newJobs, newApplications };
+}
+
+// Bawat section ay may sariling permission; ang makikita ng user ay depende sa role niya
+const SECTIONS = {
+  users: { permission: 'users.view', load: userMetrics },
+  reviews: { permission: 'users.verify', load: reviewMetrics },
+  logins: { permission: 'logs.view', load: loginMetrics },
+  funnel: { permission: 'dashboard.view', load: funnelMetrics },
+  partners: { permission: 'transactions.view', load: partnerMetrics }
+};
+
+/**
+ * Metrics ng mga section na pwedeng makita ng user.
+ *   const sections = await dashboardFor(req.user, ['users', 'logins'], { refresh });
+ *   // => { users: { value, at }, logins: { value, at } }
+ */
+async function dashboardFor(user, names, { refresh = false } = {}) {
+  const allowed = names.filter(name => SECTIONS[name] && can(user, SECTIONS[name].permission));
+  const loaded = await Promise.all(allowed.map(name => cached(name, SECTIONS[name].load, { refresh })));
+  return Object.fromEntries(allowed.map((name, i) => [name, loaded[i]]));
+}
+
+module.exports = { CACHE_SECONDS, LOGIN_DAYS, SECTIONS, dashboardFor };
@@ -0,0 +1,135 @@
+const multer = require('multer');
+
+const { putFile } = require('./storage');
+const { DOCUMENT_TYPES, PHOTO_RULES, REVIEW_STATUSES, MIME } = require('../config/documents');
+
+const MB = 1024 * 1024;
+const { PDF, JPEG, PNG } = MIME;
+
+// Magic bytes => totoong type ng file (hindi pinagkakatiwalaan ang mimetype galing sa browser)
+const SIGNATURES = [
+  { mime: PDF, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { mime: PNG, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: JPEG, bytes: [0xff, 0xd8, 0xff] }
+];
+
+function sniffMime(buffer) {
+  if (!buffer) return null;
+  const match = SIGNATURES.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+  return match ? match.mime : null;
+}
+
+const formatSize = (bytes) => `${Math.round(bytes / MB)}MB`;
+
+const allowedLabel = (mimes) => {
+  const names = mimes.map(mime => (mime === PDF ? 'PDF' : mime === JPEG ? 'JPG' : 'PNG'));
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+};
+
+// Error message kapag hindi pasado ang file sa rules ({ label, mimes, maxSize }), null kapag okay
+function checkAgainst(rules, file) {
+  if (!file || !file.size) return 'Please choose a file.';
+  if (file.size > rules.maxSize) return `${rules.label} must be under ${formatSize(rules.maxSize)}.`;
+
+  const sniffed = sniffMime(file.buffer);
+  if (!sniffed || !rules.mimes.includes(sniffed)) {
+    return `${rules.label} must be a ${allowedLabel(rules.mimes)} file.`;
+  }
+  return null;
+}
+
+function checkFile(type, file) {
+  const rules = DOCUMENT_TYPES[type];
+  return rules ? checkAgainst(rules, file) : 'Unknown document type.';
+}
+
+// Sa memory muna para ma-check ang laman bago i-upload; ang per-type limit ay sa checkFile.
+// `types` = mga slot na tinatanggap ng form; ibang field ay LIMIT_UNEXPECTED_FILE.
+const documentUpload = (types) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Math.max(...types.map(type => DOCUMENT_TYPES[type].maxSize)) }
+}).fields(types.map(name => ({ name, maxCount: 1 })));
+
+// I-store ang na-check nang file; private ang credentials kaya signed URL lang ang labas
+async function storeFile(file, folder = 'documents') {
+  const mime = sniffMime(file.buffer);
+  const { driver, key } = await putFile(file.buffer, { folder, filename: file.originalname, mime, private: true });
+  return {
+    driver,
+    key,
+    mime,
+    size: file.size,
+    originalName: file.originalname
+  };
+}
+
+// Photos/logos: public URL, pero dumadaan din sa sniffing (walang SVG o HTML na nagpapanggap na image)
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PHOTO_RULES.maxSize }
+});
+
+const checkPhoto = (file) => checkAgainst(PHOTO_RULES, file);
+
+// => { driver, key, url }
+const storePhoto = (file) =>
+  putFile(file.buffer, { folder: 'photos', filename: file.originalname, mime: sniffMime(file.buffer) });
+
+/**
+ * Middleware pagkatapos ng documentUpload: i-check at i-store ang bawat file.
+ * Ang na-store ay may file.stored ({ driver, key, mime, size, originalName }); ang error ay nasa req.uploadError.
+ */
+async function storeDocuments(req, res, next) {
+  try {
+    for (const [type, [file]] of Object.entries(req.files || {})) {
+      const problem = checkFile(type, file);
+      if (problem) {
+        req.uploadError = { field: type, message: problem };
+        delete req.files[type];
+        continue;
+      }
+      file.stored = await storeFile(file);
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+function uploadProblem(err) {
+  if (err.code === 'LIMIT_FILE_SIZE') return 'File is too large.';
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') return 'This form does not accept that file.';
+  return err.message;
+}
+
+/**
+ * Multer middleware para sa document slots; multer error => req.uploadError (para ma-render sa form imbes na error page)
+ *   app.post('/js4', receiveDocuments(['resume', 'diploma']), storeDocuments, ...)
+ */
+function receiveDocuments(types = Object.keys(DOCUMENT_TYPES)) {
+  const upload = documentUpload(types);
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err) {
+        req.uploadError = { field: err.field, message: uploadProblem(err) };
+        req.files = {};
+      }
+      next();
+    });
+  };
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  PHOTO_RULES,
+  REVIEW_STATUSES,
+  sniffMime,
+  checkAgainst,
+  checkFile,
+  storeFile,
+  photoUpload,
+  checkPhoto,
+  storePhoto,
+  receiveDocuments,
+  storeDocuments
+};
@@ -0,0 +1,131 @@
+const Job = require('../model/job');
+
+const PAGE_SIZE = 12;
+
+// Dropdowns sa /j: query param => field sa Job
+const FACETS = {
+  location: 'location',
+  title: 'title',
+  employmentType: 'employmentType',
+  education: 'education',
+  company: 'company',
+  workMode: 'workMode'
+};
+
+const SORTS = ['relevance', 'date', 'salary'];
+
+const text = (value) => String(value || '').trim();
+
+// Query string => malinis na filters (ito rin ang ibinabalik sa view para sa URL)
+function parseSearch(params = {}) {
+  const filters = { q: text(params.q).slice(0, 100) };
+
+  Object.keys(FACETS).forEach(facet => {
+    filters[facet] = text(params[facet]);
+  });
+
+  // Fresh Grad / With No Experience checkboxes
+  filters.experience = [].concat(params.experience || []).filter(level => Job.EXPERIENCE_LEVELS.includes(level));
+
+  const sort = text(params.sort);
+  filters.sort = SORTS.includes(sort) ? sort : (filters.q ? 'relevance' : 'date');
+  if (filters.sort === 'relevance' && !filters.q) filters.sort = 'date';
+
+  filters.page = Math.max(parseInt(params.page, 10) || 1, 1);
+  return filters;
+}
+
+// Mga kondisyon galing sa dropdowns at checkboxes; `except` = facet na hindi isasama (para sa sarili niyang counts)
+function facetConditions(filters, except) {
+  const and = [];
+  Object.entries(FACETS).forEach(([facet, field]) => {
+    if (facet !== except && filters[facet]) and.push({ [field]: filters[facet] });
+  });
+  if (except !== 'experience' && filters.experience.length) {
+    and.push({ experienceLevel: { $in: filters.experience } });
+  }
+  return and;
+}
+
+// Base match: bukas na public jobs + full-text (kailangang nasa unang $match ang $text)
+async function baseMatch(filters, now = new Date()) {
+  const match = { $and: [await Job.publicQuery(now)] };
+  if (filters.q) match.$text = { $search: filters.q };
+  return match;
+}
+
+const SORT_STAGES = {
+  relevance: { score: -1, openAt: -1 },
+  date: { openAt: -1, _id: -1 },
+  salary: { salaryMax: -1, salaryMin: -1, openAt: -1 }
+};
+
+/**
+ * Hanapin ang bukas na jobs.
+ *   const { jobs, total, page, pages, facets } = await searchJobs(parseSearch(req.query));
+ * facets.<name> = [{ value, count }], bawat isa ay binibilang kasama ang ibang filters (hindi ang sarili).
+ */
+async function searchJobs(filters, now = new Date()) {
+  const skip = (filters.page - 1) * PAGE_SIZE;
+  const and = facetConditions(filters);
+
+  const facetStages = Object.fromEntries(Object.entries(FACETS).map(([facet, field]) => {
+    const others = facetConditions(filters, facet);
+    return [facet, [
+      ...(others.length ? [{ $match: { $and: others } }] : []),
+      { $match: { [field]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: 50 }
+    ]];
+  }));
+
+  const experienceOthers = facetConditions(filters, 'experience');
+  facetStages.experience = [
+    ...(experienceOthers.length ? [{ $match: { $and: experienceOthers } }] : []),
+    { $group: { _id: '$experienceLevel', count: { $sum: 1 } } }
+  ];
+
+  const matchAll = and.length ? [{ $match: { $and: and } }] : [];
+  facetStages.total = [...matchAll, { $count: 'count' }];
+  facetStages.jobs = [...matchAll, { $sort: SORT_STAGES[filters.sort] }, { $skip: skip }, { $limit: PAGE_SIZE }];
+
+  const [result] = await Job.aggregate([
+    { $match: await baseMatch(filters, now) },
+    ...(filters.q ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+    { $facet: facetStages }
+  ]);
+
+  const { jobs } = result;
+  const total = result.total.length ? result.total[0].count : 0;
+
+  const facets = {};
+  Object.keys(FACETS).concat('experience').forEach(facet => {
+    facets[facet] = result[facet].map(({ _id, count }) => ({ value: _id, count }));
+  });
+
+  return {
+    jobs,
+    total,
+    page: filters.page,
+    pages: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+    facets
+  };
+}
+
+// URL ng search page na may binagong filters (para sa pagination at "clear" links)
+function searchUrl(filters, changes = {}) {
+  const merged = { ...filters, ...changes };
+  const params = new URLSearchParams();
+  ['q', ...Object.keys(FACETS)].forEach(key => {
+    if (merged[key]) params.append(key, merged[key]);
+  });
+  (merged.experience || []).forEach(level => params.append('experience', level));
+  if (merged.sort && merged.sort !== (merged.q ? 'relevance' : 'date')) params.append('sort', merged.sort);
+  if (merged.page > 1) params.append('page', merged.page);
+
+  const query = params.toString();
+  return query ? `/j?${query}` : '/j';
+}
+
+module.exports = { PAGE_SIZE, FACETS, SORTS, parseSearch, searchJobs, searchUrl };
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+
+const Log = require('../model/logs');
+const { RETENTION_DAYS, retentionFor } = require('../config/retention');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const ARCHIVE_DIR = process.env.LOG_ARCHIVE_DIR || path.join(__dirname, '..', 'archives', 'logs');
+
+// Writes docs as gzip NDJSON (EJSON para buo ang ObjectId at Date pag ni-restore)
+async function writeArchive(file, cursor) {
+  const ids = [];
+  async function* lines() {
+    for await (const doc of cursor) {
+      ids.push(doc._id);
+      yield EJSON.stringify(doc, { relaxed: false }) + '\n';
+    }
+  }
+  await pipeline(lines, zlib.createGzip(), fs.createWriteStream(file));
+  return ids;
+}
+
+/**
+ * I-archive ang expired logs (per action, based sa config/retention.js) tapos burahin sa collection.
+ * Returns [{ action, cutoff, archived, file }]
+ */
+async function archiveExpiredLogs({ dryRun = false, now = new Date() } = {}) {
+  await fs.promises.mkdir(ARCHIVE_DIR, { recursive: true });
+
+  const known = Object.keys(RETENTION_DAYS);
+  const stamp = now.toISOString().replace(/[:.]/g, '-');
+  const results = [];
+
+  // Bawat action na nasa config, tapos isang group para sa iba (walang action o hindi kilala)
+  const groups = known.filter(action => action !== 'other').map(action => ({ action, filter: { action } }));
+  groups.push({ action: 'other', filter: { $or: [{ action: { $nin: known } }, { action: 'other' }, { action: null }] } });
+
+  for (const { action, filter } of groups) {
+    const cutoff = new Date(now.getTime() - retentionFor(action) * 24 * 60 * 60 * 1000);
+    const query = { ...filter, createdAt: { $lt: cutoff } };
+    const count = await Log.countDocuments(query);
+
+    if (!count) continue;
+    if (dryRun) {
+      results.push({ action, cutoff, archived: count, file: null });
+      continue;
+    }
+
+    const file = path.join(ARCHIVE_DIR, `logs-${action}-${stamp}.ndjson.gz`);
+    const ids = await writeArchive(file, Log.find(query).sort({ createdAt: 1 }).lean().cursor());
+
+    // Buburahin lang ang mga na-archive talaga
+    for (let i = 0; i < ids.length; i += 1000) {
+      await Log.deleteMany({ _id: { $in: ids.slice(i, i + 1000) } });
+    }
+
+    results.push({ action, cutoff, archived: ids.length, file });
+  }
+
+  return results;
+}
+
+// Restore an archive into a scratch collection (hindi sa totoong logs collection)
+async function restoreArchive(file, collectionName = `logs_restore_${Date.now()}`) {
+  if (collectionName === Log.collection.collectionName) {
+    throw new Error('Restore into a scratch collection, not the live logs collection.');
+  }
+
+  const collection = mongoose.connection.collection(collectionName);
+  const input = readline.createInterface({
+    input: fs.createReadStream(file).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+
+  let batch = [];
+  let restored = 0;
+  for await (const line of input) {
+    if (!line.trim()) continue;
+    batch.push(EJSON.parse(line, { relaxed: false }));
+    if (batch.length === 1000) {
+      await collection.insertMany(batch, { ordered: false });
+      restored += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length) {
+    await collection.insertMany(batch, { ordered: false });
+    restored += batch.length;
+  }
+
+  return { collection: collectionName, restored };
+}
+
+module.exports = { archiveExpiredLogs, restoreArchive, ARCHIVE_DIR };
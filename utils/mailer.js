@@ -0,0 +1,59 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Pluggable mail transport. Piliin sa .env: MAIL_TRANSPORT=outbox (default) | smtp
+// A transport is just an object with an async send({ to, subject, text, html }) method.
+
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+const MAIL_FROM = process.env.MAIL_FROM || 'AGAPAY <no-reply@agapay.local>';
+
+// Local/offline: bawat email ay sinusulat as JSON file sa outbox folder
+const outboxTransport = {
+  async send(mail) {
+    await fs.mkdir(OUTBOX_DIR, { recursive: true });
+    const file = path.join(OUTBOX_DIR, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...mail, sentAt: new Date() }, null, 2));
+    console.log(`📮 Mail to ${mail.to} saved in outbox: ${path.basename(file)}`);
+    return { id: path.basename(file) };
+  }
+};
+
+const smtpTransport = {
+  transporter: null,
+  async send(mail) {
+    if (!this.transporter) {
+      const nodemailer = require('nodemailer');
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+    }
+    const info = await this.transporter.sendMail(mail);
+    return { id: info.messageId };
+  }
+};
+
+const transports = {
+  outbox: outboxTransport,
+  smtp: smtpTransport
+};
+
+// Para makapag-add ng ibang transport (e.g. tests o ibang provider)
+function registerTransport(name, transport) {
+  transports[name] = transport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  const name = process.env.MAIL_TRANSPORT || 'outbox';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  return transport.send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = { sendMail, registerTransport, OUTBOX_DIR };
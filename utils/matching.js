@@ -0,0 +1,121 @@
+const { canonicalize, normalize } = require('./skills');
+
+// Gaano kabigat ang bawat factor (total = 100)
+const WEIGHTS = {
+  skills: 50,
+  softSkills: 15,
+  workMode: 15,
+  experience: 10,
+  education: 10
+};
+
+// Experience ng job seeker (/js2) at ng job posting, sa iisang scale
+const CANDIDATE_EXPERIENCE = {
+  'No Experience Yet': 0,
+  'Internship/OJT': 1,
+  'Volunteer Work': 1,
+  'Part-time Work': 2,
+  'Full-time Work': 3
+};
+const JOB_EXPERIENCE = {
+  'No Experience': 0,
+  'Fresh Grad': 1,
+  'Entry Level': 2,
+  'Mid Level': 3,
+  'Senior Level': 4
+};
+
+// Lahat ng alumni ay may natapos na course = Bachelor's
+const EDUCATION_RANK = {
+  'High School Graduate': 0,
+  Vocational: 1,
+  'College Undergraduate': 2,
+  "Bachelor's Degree": 3,
+  "Master's Degree": 4
+};
+
+function overlap(wanted, has, index) {
+  const required = canonicalize(wanted, index);
+  const owned = new Set(canonicalize(has, index).map(normalize));
+  const matched = required.filter(skill => owned.has(normalize(skill)));
+  return { required, matched, missing: required.filter(skill => !matched.includes(skill)) };
+}
+
+function skillFactor(key, label, wanted, has, index) {
+  const { required, matched, missing } = overlap(wanted, has, index);
+  if (!required.length) {
+    return { key, label, weight: WEIGHTS[key], points: WEIGHTS[key] / 2, detail: 'No specific skills listed', matched: [], missing: [] };
+  }
+  return {
+    key,
+    label,
+    weight: WEIGHTS[key],
+    points: WEIGHTS[key] * matched.length / required.length,
+    detail: `${matched.length} of ${required.length} matched`,
+    matched,
+    missing
+  };
+}
+
+function workModeFactor(wanted, has) {
+  let ratio = 0;
+  if (!wanted || !has || wanted === has) ratio = 1;
+  else if (wanted === 'Hybrid' || has === 'Hybrid') ratio = 0.5;
+
+  const detail = !has ? 'No preference given' : wanted === has ? `Both ${wanted}` : `Prefers ${has}, job is ${wanted}`;
+  return { key: 'workMode', label: 'Work Mode', weight: WEIGHTS.workMode, points: WEIGHTS.workMode * ratio, detail };
+}
+
+function experienceFactor(wanted, has) {
+  const need = JOB_EXPERIENCE[wanted] ?? 0;
+  const own = CANDIDATE_EXPERIENCE[has] ?? 0;
+  const ratio = own >= need ? 1 : need - own === 1 ? 0.5 : 0;
+  return {
+    key: 'experience',
+    label: 'Experience',
+    weight: WEIGHTS.experience,
+    points: WEIGHTS.experience * ratio,
+    detail: `${has || 'Not stated'} for a ${wanted || 'any'} role`
+  };
+}
+
+function educationFactor(wanted, candidate) {
+  const own = candidate.course ? EDUCATION_RANK["Bachelor's Degree"] : EDUCATION_RANK['High School Graduate'];
+  const need = wanted ? EDUCATION_RANK[wanted] ?? 0 : 0;
+  const ratio = own >= need ? 1 : need - own === 1 ? 0.5 : 0;
+  return {
+    key: 'education',
+    label: 'Education',
+    weight: WEIGHTS.education,
+    points: WEIGHTS.education * ratio,
+    detail: wanted ? `${candidate.course || 'No course'} vs ${wanted}` : 'No requirement'
+  };
+}
+
+/**
+ * Match score ng isang candidate (user o application snapshot) sa isang job.
+ *   const index = await skillIndex();
+ *   const { score, breakdown } = scoreMatch(user, job, index);
+ * score = 0-100; breakdown = [{ key, label, weight, points, detail, matched?, missing? }]
+ */
+function scoreMatch(candidate, job, index = new Map()) {
+  const breakdown = [
+    skillFactor('skills', 'Technical Skills', job.skills, candidate.skills, index),
+    skillFactor('softSkills', 'Soft Skills', job.softSkills, candidate.softSkills, index),
+    workModeFactor(job.workMode, candidate.workMode),
+    experienceFactor(job.experienceLevel, candidate.experience),
+    educationFactor(job.education, candidate)
+  ].map(factor => ({ ...factor, points: Math.round(factor.points * 10) / 10 }));
+
+  const score = Math.round(breakdown.reduce((total, factor) => total + factor.points, 0));
+  return { score, breakdown };
+}
+
+// Sort helper: pinakamataas na score muna
+function rankBy(items, scoreOf) {
+  return items
+    .map(item => ({ item, match: scoreOf(item) }))
+    .sort((a, b) => b.match.score - a.match.score);
+}
+
+module.exports = { WEIGHTS, scoreMatch, rankBy };
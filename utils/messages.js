@@ -0,0 +1,61 @@
+const multer = require('multer');
+
+const { can } = require('../config/roles');
+const { ATTACHMENT_RULES, MAX_ATTACHMENTS } = require('../config/messages');
+const { checkAgainst, storeFile } = require('./documents');
+
+// Sa memory muna para ma-sniff bago i-upload (parehong pipeline ng documents)
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_RULES.maxSize, files: MAX_ATTACHMENTS }
+}).array('attachments', MAX_ATTACHMENTS);
+
+// multer error => req.uploadError (para bumalik sa thread imbes na error page)
+const receiveAttachments = (req, res, next) => {
+  attachmentUpload(req, res, (err) => {
+    if (err) {
+      req.uploadError = {
+        field: 'attachments',
+        message: err.code === 'LIMIT_FILE_SIZE'
+          ? `Each attachment must be under ${ATTACHMENT_RULES.maxSize / (1024 * 1024)}MB.`
+          : err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE'
+            ? `You can attach up to ${MAX_ATTACHMENTS} files.`
+            : err.message
+      };
+      req.files = [];
+    }
+    next();
+  });
+};
+
+// Error message para sa unang file na hindi pasado, null kapag okay lahat
+function checkAttachments(files = []) {
+  for (const file of files) {
+    const problem = checkAgainst(ATTACHMENT_RULES, file);
+    if (problem) return `${file.originalname}: ${problem}`;
+  }
+  return null;
+}
+
+// I-store ang na-check nang attachments => [{ driver, key, mime, size, originalName }]
+async function storeAttachments(files = []) {
+  const stored = [];
+  for (const file of files) stored.push(await storeFile(file, 'messages'));
+  return stored;
+}
+
+/**
+ * Sino ang viewer sa thread ng isang application:
+ *   'applicant' | 'employer' = kasali, pwedeng mag-send
+ *   'reviewer'               = registrar/staff, read-only
+ *   null                     = walang access
+ */
+function threadRole(user, application, job) {
+  if (String(application.applicant) === String(user._id)) return 'applicant';
+  // Ang nag-post lang ang kausap ng applicant; ibang staff (kahit may jobs.manage_all) ay reviewer lang
+  if (job && String(job.postedBy) === String(user._id)) return 'employer';
+  if (can(user, 'messages.review')) return 'reviewer';
+  return null;
+}
+
+module.exports = { receiveAttachments, checkAttachments, storeAttachments, threadRole };
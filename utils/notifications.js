@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+const Notification = require('../model/notification');
+const users = require('../model/user');
+const { NOTIFICATION_TYPES, DIGEST_HOURS, channelsFor } = require('../config/notifications');
+const { sendMail } = require('./mailer');
+
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 1000}`;
+
+// Gawin ang notification doc ayon sa preferences; null kapag naka-off lahat ng channel
+function build(user, type, { title, body, link, meta }) {
+  const { inApp, email } = channelsFor(user, type);
+  if (!inApp && !email) return null;
+  return { user: user._id, type, title, body, link, meta, inApp, email };
+}
+
+/**
+ * Mag-notify ng isang user.
+ *   await notify(user, 'application_status', { title, body, link: '/applications' });
+ * `user` = document o id. Ang email ay naiipon para sa daily digest (see sendDigests).
+ */
+async function notify(user, type, content) {
+  const recipient = user && user.notificationPrefs !== undefined ? user : await users.findById(user, 'notificationPrefs').lean();
+  if (!recipient) return null;
+
+  const doc = build(recipient, type, content);
+  return doc ? Notification.create(doc) : null;
+}
+
+// Maramihan (e.g. bagong job para sa lahat ng match); recipients = [{ user, content }]
+async function notifyMany(type, recipients) {
+  const docs = recipients.map(({ user, content }) => build(user, type, content)).filter(Boolean);
+  if (docs.length) await Notification.insertMany(docs, { ordered: false });
+  return docs.length;
+}
+
+function digestText(user, notifications) {
+  const lines = notifications.map(item => {
+    const link = item.link ? `\n  ${APP_URL}${item.link}` : '';
+    return `• ${item.title}${item.body ? ` — ${item.body}` : ''}${link}`;
+  });
+  return [
+    `Hi ${user.fName || user.username},`,
+    '',
+    `Here's what happened in AGAPAY since your last update (${notifications.length}):`,
+    '',
+    ...lines,
+    '',
+    `Change what we email you at ${APP_URL}/notifications/preferences`
+  ].join('\n');
+}
+
+/**
+ * Isang email bawat user na ang pinakalumang hindi pa na-email na notification ay `minAgeHours` na
+ * (default DIGEST_HOURS; 0 = lahat ng naipon, gamit ng npm run notifications:digest).
+ * Kine-claim muna (emailedAt + digest id) bago mag-send, kaya kahit sabay ang app at ang script
+ * ay walang madodobleng email. Returns { users, notifications } na naipadala at ilang users ang `failed`
+ * (ibinabalik ang mga iyon para sa susunod na run).
+ */
+async function sendDigests({ now = new Date(), minAgeHours = DIGEST_HOURS } = {}) {
+  const due = new Date(now.getTime() - minAgeHours * 60 * 60 * 1000);
+  const pending = await Notification.aggregate([
+    { $match: { email: true, emailedAt: null, createdAt: { $lte: now } } },
+    { $group: { _id: '$user', oldest: { $min: '$createdAt' }, ids: { $push: '$_id' } } },
+    { $match: { oldest: { $lte: due } } }
+  ]);
+
+  let sent = 0;
+  let count = 0;
+  let failed = 0;
+  for (const group of pending) {
+    const digest = crypto.randomUUID();
+    await Notification.updateMany({ _id: { $in: group.ids }, emailedAt: null }, { emailedAt: now, digest });
+    const items = await Notification.find({ digest }, 'title body link').sort({ createdAt: 1 }).lean();
+    if (!items.length) continue; // naunahan ng ibang run
+
+    // Kahit walang email ang user ay naka-claim na, para hindi paulit-ulit
+    const user = await users.findById(group._id, 'fName username email archive').lean();
+    if (!user || !user.email || user.archive) continue;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `AGAPAY: ${items.length} new update${items.length === 1 ? '' : 's'}`,
+        text: digestText(user, items)
+      });
+    } catch (err) {
+      // Ibalik lang ang digest na ito para maisama sa susunod na run; tuloy pa rin ang ibang users
+      console.error(`⚠️ Digest email to ${user.email} failed:`, err);
+      await Notification.updateMany({ digest }, { $unset: { emailedAt: 1, digest: 1 } });
+      failed++;
+      continue;
+    }
+    sent++;
+    count += items.length;
+  }
+
+  return { users: sent, notifications: count, failed };
+}
+
+module.exports = { NOTIFICATION_TYPES, notify, notifyMany, sendDigests };
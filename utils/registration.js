@@ -0,0 +1,167 @@
+const Job = require('../model/job');
+const { DEFAULT_SKILLS } = require('./skills');
+
+// Job seeker registration wizard (/js0 - /js5). Each step validates its own fields;
+// the draft lives in req.session.registration so users can go back without losing data.
+
+const COURSES = [
+  'BS Accountancy',
+  'BS Business Administration',
+  'BS Civil Engineering',
+  'BS Computer Science',
+  'BS Criminology',
+  'BS Education',
+  'BS Hospitality Management',
+  'BS Information Technology',
+  'BS Nursing',
+  'BS Psychology',
+  'BS Tourism Management'
+];
+const WORK_MODES = Job.WORK_MODES;
+const EXPERIENCES = ['Internship/OJT', 'Part-time Work', 'Full-time Work', 'Volunteer Work', 'No Experience Yet'];
+const AVAILABILITY = ['Ready to Start', 'Within 2 Weeks', 'Within a Month', 'More than a Month'];
+
+const currentYear = () => new Date().getFullYear();
+const YEARS = () => Array.from({ length: 30 }, (_, i) => String(currentYear() - i));
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^09\d{9}$/;
+
+const text = (value) => String(value || '').trim();
+const list = (value) => [].concat(value || []).map(text).filter(Boolean);
+
+// fields: kinukuha galing req.body; validate: returns { field: 'message' }
+const STEPS = {
+  js0: {
+    next: 'js1',
+    fields: (body) => ({ agree: body.agree === 'on' || body.agree === 'true' }),
+    validate: (data) => (data.agree ? {} : { agree: 'You must agree to the Privacy Policy to continue.' })
+  },
+  js1: {
+    next: 'js2',
+    fields: (body) => ({
+      course: text(body.course),
+      yearGraduated: text(body.yearGraduated),
+      workMode: text(body.workMode),
+      skills: list(body.skills)
+    }),
+    validate: (data) => {
+      const errors = {};
+      if (!COURSES.includes(data.course)) errors.course = 'Please choose your course.';
+      if (!YEARS().includes(data.yearGraduated)) errors.yearGraduated = 'Please choose the year you graduated.';
+      if (!WORK_MODES.includes(data.workMode)) errors.workMode = 'Please choose a work mode.';
+      if (!data.skills.length) errors.skills = 'Pick at least one technical skill.';
+      return errors;
+    }
+  },
+  js2: {
+    next: 'js3',
+    fields: (body) => ({
+      softSkills: list(body.softSkills),
+      experience: text(body.experience),
+      availability: text(body.availability)
+    }),
+    validate: (data) => {
+      const errors = {};
+      if (!data.softSkills.length) errors.softSkills = 'Pick at least one soft skill.';
+      if (!EXPERIENCES.includes(data.experience)) errors.experience = 'Please tell us what you have done.';
+      if (!AVAILABILITY.includes(data.availability)) errors.availability = 'Please tell us when you can start.';
+      return errors;
+    }
+  },
+  js3: {
+    next: 'js4',
+    fields: (body) => ({
+      fName: text(body.fName),
+      mName: text(body.mName),
+      lName: text(body.lName),
+      xName: text(body.xName),
+      email: text(body.email).toLowerCase(),
+      phone: text(body.phone).replace(/[\s-]/g, '')
+    }),
+    validate: (data) => {
+      const errors = {};
+      if (!data.fName) errors.fName = 'First name is required.';
+      if (!data.lName) errors.lName = 'Last name is required.';
+      if (!EMAIL_PATTERN.test(data.email)) errors.email = 'Please enter a valid email address.';
+      if (!PHONE_PATTERN.test(data.phone)) errors.phone = 'Contact number must look like 09xxxxxxxxx.';
+      return errors;
+    }
+  },
+  js4: {
+    next: 'js5',
+    documents: ['resume', 'diploma'], // ang document slots lang na tinatanggap ng public registration
+    fields: (body, files = {}, draft = {}) => ({
+      resume: files.resume ? files.resume[0].stored.key : draft.resume,
+      diploma: files.diploma ? files.diploma[0].stored.key : draft.diploma,
+      // Metadata ng na-upload (mime, size, filename) para sa document vault pag na-create na ang account
+      uploads: {
+        ...draft.uploads,
+        ...(files.resume ? { resume: files.resume[0].stored } : {}),
+        ...(files.diploma ? { diploma: files.diploma[0].stored } : {})
+      }
+    }),
+    validate: (data) => {
+      const errors = {};
+      if (!data.resume) errors.resume = 'Please upload your CV or resume.';
+      if (!data.diploma) errors.diploma = 'Please upload your diploma or certificate of graduation.';
+      return errors;
+    }
+  }
+};
+
+const ORDER = ['js0', 'js1', 'js2', 'js3', 'js4', 'js5'];
+
+// Unang step na hindi pa pasado; js5 kapag kumpleto na lahat
+function firstIncompleteStep(draft = {}) {
+  for (const step of ORDER.slice(0, -1)) {
+    const errors = STEPS[step].validate({ ...STEPS[step].fields({}, {}, draft), ...pick(draft, step) });
+    if (Object.keys(errors).length) return step;
+  }
+  return 'js5';
+}
+
+// Kunin lang ang mga field ng step na ito galing sa draft
+function pick(draft, step) {
+  const keys = Object.keys(STEPS[step].fields({}, {}, {}));
+  return keys.reduce((out, key) => (key in draft ? { ...out, [key]: draft[key] } : out), {});
+}
+
+// skills = galing sa taxonomy (utils/skills skillLists)
+const options = (skills = DEFAULT_SKILLS) => ({
+  courses: COURSES,
+  years: YEARS(),
+  workModes: WORK_MODES,
+  experiences: EXPERIENCES,
+  availability: AVAILABILITY,
+  technicalSkills: skills.technical,
+  softSkills: skills.soft
+});
+
+// Pag-edit ng career profile pagkatapos ng registration (/profile/skills); parehong rules ng js1 at js2
+const CAREER_PROFILE = {
+  fields: (body) => ({
+    workMode: text(body.workMode),
+    skills: list(body.skills),
+    softSkills: list(body.softSkills),
+    experience: text(body.experience)
+  }),
+  validate: (data) => {
+    const errors = {};
+    if (!WORK_MODES.includes(data.workMode)) errors.workMode = 'Please choose a work mode.';
+    if (!data.skills.length) errors.skills = 'Pick at least one technical skill.';
+    if (!data.softSkills.length) errors.softSkills = 'Pick at least one soft skill.';
+    if (!EXPERIENCES.includes(data.experience)) errors.experience = 'Please tell us what you have done.';
+    return errors;
+  }
+};
+
+module.exports = {
+  STEPS,
+  ORDER,
+  COURSES,
+  WORK_MODES,
+  CAREER_PROFILE,
+  firstIncompleteStep,
+  options
+};
@@ -0,0 +1,56 @@
+const users = require('../model/user');
+
+// Hindi kailanman pwedeng i-export (kahit idagdag sa form)
+const NEVER_EXPORT = ['password', 'suspensions', 'notificationPrefs', '__v'];
+
+// Columns na pwedeng piliin: lahat ng simpleng field sa users schema maliban sa NEVER_EXPORT
+const EXPORT_FIELDS = Object.keys(users.schema.paths)
+  .filter(field => !NEVER_EXPORT.includes(field) && !field.includes('.'));
+
+const DEFAULT_FIELDS = ['schoolId', 'lName', 'fName', 'mName', 'xName', 'email', 'phone', 'role', 'campus', 'course', 'yearGraduated', 'verify'];
+
+const FILTERS = ['role', 'campus', 'course', 'yearGraduated'];
+
+const toBoolean = (value) => (value === 'true' ? true : value === 'false' ? false : undefined);
+
+function buildRosterQuery(params = {}) {
+  const query = {};
+  FILTERS.forEach(field => {
+    if (params[field]) query[field] = String(params[field]);
+  });
+  ['verify', 'archive'].forEach(field => {
+    const value = toBoolean(params[field]);
+    if (value !== undefined) query[field] = value;
+  });
+  return query;
+}
+
+// Only whitelisted fields survive, kahit ano pa ang ipadala sa query string
+function pickFields(requested) {
+  const fields = [].concat(requested || []).filter(field => EXPORT_FIELDS.includes(field));
+  return fields.length ? fields : DEFAULT_FIELDS.filter(field => EXPORT_FIELDS.includes(field));
+}
+
+const cell = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join(', ');
+  return typeof value === 'object' ? String(value) : value;
+};
+
+async function rosterRows(params, fields) {
+  const docs = await users.find(buildRosterQuery(params))
+    .select(fields.join(' ') + (fields.includes('_id') ? '' : ' -_id'))
+    .sort({ lName: 1, fName: 1 })
+    .lean();
+
+  return docs.map(doc => Object.fromEntries(fields.map(field => [field, cell(doc[field])])));
+}
+
+// Values para sa dropdowns ng export screen
+async function filterOptions() {
+  const entries = await Promise.all(FILTERS.map(async field => [field, (await users.distinct(field)).filter(Boolean).sort()]));
+  return Object.fromEntries(entries);
+}
+
+module.exports = { EXPORT_FIELDS, DEFAULT_FIELDS, buildRosterQuery, pickFields, rosterRows, filterOptions };
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Burahin lahat ng active sessions ng isang user (connect-mongodb-session "sessions" collection).
+// Depende sa pagka-serialize, ObjectId o string ang _id sa loob ng session kaya parehong hinahanap.
+async function destroyUserSessions(userId) {
+  const id = new mongoose.Types.ObjectId(String(userId));
+  const result = await mongoose.connection.collection('sessions').deleteMany({
+    $or: [
+      { 'session.user._id': id },
+      { 'session.user._id': String(userId) }
+    ]
+  });
+  return result.deletedCount;
+}
+
+module.exports = { destroyUserSessions };
@@ -0,0 +1,46 @@
+const Skill = require('../model/skill');
+
+// Fallback kapag wala pang laman ang taxonomy (bagong install bago mag-seed)
+const DEFAULT_SKILLS = {
+  technical: ['Canva', 'Ms Word', 'Ms Excel', 'Food & Beverage', 'Figma', 'Housekeeping', 'Accounting', 'Programming', 'Customer Service', 'Data Entry'],
+  soft: ['Communication', 'Teamwork', 'Leadership', 'Time Management', 'Problem Solving', 'Adaptability', 'Attention to Detail', 'Creativity']
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Active skills per kind, para sa checkboxes ng registration at job form
+async function skillLists() {
+  const skills = await Skill.find({ active: true }).sort({ name: 1 }).lean();
+  if (!skills.length) return DEFAULT_SKILLS;
+
+  return Skill.KINDS.reduce((lists, kind) => ({
+    ...lists,
+    [kind]: skills.filter(skill => skill.kind === kind).map(skill => skill.name)
+  }), {});
+}
+
+// Map ng normalized name/synonym => canonical name (kasama ang inactive para hindi mawala ang lumang data)
+async function skillIndex() {
+  const skills = await Skill.find({}, 'name synonyms').lean();
+  const index = new Map();
+  skills.forEach(skill => {
+    [skill.name, ...(skill.synonyms || [])].forEach(alias => index.set(normalize(alias), skill.name));
+  });
+  return index;
+}
+
+// Palitan ng canonical name ang bawat skill; hindi kilala = iiwan as-is. Walang ulit.
+function canonicalize(names, index) {
+  const result = [];
+  [].concat(names || []).forEach(name => {
+    const canonical = index.get(normalize(name)) || String(name || '').trim();
+    if (canonical && !result.some(item => normalize(item) === normalize(canonical))) result.push(canonical);
+  });
+  return result;
+}
+
+async function canonicalSkills(names) {
+  return canonicalize(names, await skillIndex());
+}
+
+module.exports = { DEFAULT_SKILLS, normalize, skillLists, skillIndex, canonicalize, canonicalSkills };
@@ -0,0 +1,62 @@
+const XLSX = require('xlsx');
+
+const CONTENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv',
+  json: 'application/json'
+};
+
+// Text na nagsisimula sa = + - @ (o tab/CR) ay babasahin ng Excel bilang formula, kaya lagyan ng ' sa unahan
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+const escapeRows = (rows) => rows.map(row => {
+  const safe = {};
+  Object.keys(row).forEach(key => { safe[key] = escapeCell(row[key]); });
+  return safe;
+});
+
+/**
+ * Send rows (array of plain objects) as a download.
+ *   sendSheet(res, rows, { format: 'csv', filename: 'logs-20260101', sheetName: 'Logs', header: ['Date', ...] })
+ */
+function sendSheet(res, rows, { format = 'xlsx', filename = 'export', sheetName = 'Sheet1', header } = {}) {
+  const type = CONTENT_TYPES[format] ? format : 'xlsx';
+
+  res.set('Content-Disposition', `attachment; filename="${filename}.${type}"`);
+  res.type(CONTENT_TYPES[type]);
+
+  if (type === 'json') {
+    return res.send(JSON.stringify(rows, null, 2));
+  }
+
+  const sheet = XLSX.utils.json_to_sheet(escapeRows(rows), header ? { header } : undefined);
+
+  if (type === 'csv') {
+    return res.send(XLSX.utils.sheet_to_csv(sheet));
+  }
+
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, sheet, sheetName);
+  res.send(XLSX.write(book, { type: 'buffer', bookType: 'xlsx' }));
+}
+
+/**
+ * Send several sheets as one XLSX workbook.
+ *   sendBook(res, [{ name: 'By Course', rows, header }], { filename: 'tracer-20260101' })
+ */
+function sendBook(res, sheets, { filename = 'export' } = {}) {
+  const book = XLSX.utils.book_new();
+  sheets.forEach(({ name, rows, header }) => {
+    // Excel: max 31 characters at walang [ ] : * ? / \ sa sheet name
+    const sheetName = String(name).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+    XLSX.utils.book_append_sheet(book, XLSX.utils.json_to_sheet(escapeRows(rows), header ? { header } : undefined), sheetName);
+  });
+
+  res.set('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+  res.type(CONTENT_TYPES.xlsx);
+  res.send(XLSX.write(book, { type: 'buffer', bookType: 'xlsx' }));
+}
+
+module.exports = { sendSheet, sendBook };
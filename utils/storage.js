@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Pluggable file storage. Piliin sa .env: STORAGE_DRIVER=cloudinary | local
+// (default: cloudinary kapag may CLOUDINARY_CLOUD_NAME, local kapag wala, e.g. offline o tests)
+//
+// A driver is an object with:
+//   put(buffer, { folder, filename, mime, private }) -> { key, url }   (url = null kapag private)
+//   get(key)                                  -> Buffer
+//   remove(key)
+//   url(key, { expiresIn })                   -> public URL, o signed at expiring kapag private
+// Bawat na-store na file ay tinatandaan bilang { driver, key } para gumana pa rin kahit palitan ang default.
+
+const LOCAL_DIR = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', 'uploads'));
+const LOCAL_ROUTE = '/files';
+const SIGNING_SECRET = process.env.STORAGE_SECRET || process.env.SESSION_SECRET || 'ferry2025';
+const DEFAULT_EXPIRES_IN = 10 * 60; // seconds
+
+// Extension ng naka-store na file ay galing sa na-sniff na `mime`, hindi sa filename ng client
+// (kung hindi, ang "resume.html" na may %PDF- sa unahan ay ise-serve bilang text/html)
+const EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png'
+};
+
+const baseName = (filename = 'file') =>
+  path.basename(filename).replace(/\.[^.]*$/, '').replace(/[^a-z0-9_-]/gi, '_').slice(-80) || 'file';
+
+const safeName = (filename, mime) => `${baseName(filename)}.${EXTENSIONS[mime] || 'bin'}`;
+
+// Content-Type para sa /files: mga kilalang extension lang, ang iba ay download (kasama ang lumang uploads)
+const CONTENT_TYPES = { pdf: 'application/pdf', jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png' };
+
+const contentType = (key) => CONTENT_TYPES[path.extname(key).slice(1).toLowerCase()] || null;
+
+// ---------- local filesystem ----------
+
+function localPath(key) {
+  const full = path.resolve(LOCAL_DIR, key);
+  if (!full.startsWith(LOCAL_DIR + path.sep)) throw new Error('Invalid storage key');
+  return full;
+}
+
+const sign = (key, expires) => crypto.createHmac('sha256', SIGNING_SECRET).update(`${key}:${expires}`).digest('hex');
+
+const localDriver = {
+  async put(buffer, { folder = 'misc', filename, mime, private: isPrivate = false } = {}) {
+    const key = [
+      isPrivate ? 'private' : 'public',
+      folder,
+      `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safeName(filename, mime)}`
+    ].join('/');
+
+    const file = localPath(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return { key, url: isPrivate ? null : this.url(key) };
+  },
+
+  async get(key) {
+    return fs.readFile(localPath(key));
+  },
+
+  async remove(key) {
+    await fs.unlink(localPath(key)).catch(err => {
+      if (err.code !== 'ENOENT') throw err;
+    });
+  },
+
+  url(key, { expiresIn = DEFAULT_EXPIRES_IN } = {}) {
+    const href = `${LOCAL_ROUTE}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    if (!key.startsWith('private/')) return href;
+
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${href}?expires=${expires}&signature=${sign(key, expires)}`;
+  },
+
+  // Para sa /files route: public = laging okay, private = kailangan ng valid at hindi pa expired na signature
+  verify(key, { expires, signature } = {}) {
+    if (!key.startsWith('private/')) return true;
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+
+    const expected = Buffer.from(sign(key, expires));
+    const given = Buffer.from(String(signature));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  },
+
+  path: localPath,
+  contentType
+};
+
+// ---------- Cloudinary ----------
+// Key format: <resource_type>/<upload|authenticated>/<format or ->/<public_id>
+
+function parseCloudinaryKey(key) {
+  const [resourceType, type, format, ...rest] = key.split('/');
+  return { resourceType, type, format: format === '-' ? undefined : format, publicId: rest.join('/') };
+}
+
+const cloudinaryDriver = {
+  get cloudinary() {
+    const cloudinary = require('cloudinary').v2;
+    if (!cloudinary.config().cloud_name) {
+      cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET
+      });
+    }
+    return cloudinary;
+  },
+
+  put(buffer, { folder = 'misc', filename, private: isPrivate = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const stream = this.cloudinary.uploader.upload_stream({
+        folder: `audres25/${folder}`,
+        resource_type: 'auto',
+        type: isPrivate ? 'authenticated' : 'upload',
+        public_id: `${Date.now()}-${baseName(filename)}`
+      }, (err, result) => {
+        if (err) return reject(err);
+        const key = [result.resource_type, result.type, result.format || '-', result.public_id].join('/');
+        resolve({ key, url: isPrivate ? null : result.secure_url });
+      });
+      stream.end(buffer);
+    });
+  },
+
+  async get(key) {
+    const response = await fetch(this.url(key));
+    if (!response.ok) throw new Error(`Cloudinary download failed (${response.status}) for ${key}`);
+    return Buffer.from(await response.arrayBuffer());
+  },
+
+  async remove(key) {
+    const { resourceType, type, publicId } = parseCloudinaryKey(key);
+    await this.cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type, invalidate: true });
+  },
+
+  url(key, { expiresIn = DEFAULT_EXPIRES_IN } = {}) {
+    const { resourceType, type, format, publicId } = parseCloudinaryKey(key);
+    if (type !== 'authenticated') {
+      return this.cloudinary.url(publicId, { resource_type: resourceType, format, secure: true });
+    }
+    return this.cloudinary.utils.private_download_url(publicId, format, {
+      resource_type: resourceType,
+      type,
+      expires_at: Math.floor(Date.now() / 1000) + expiresIn
+    });
+  }
+};
+
+const drivers = {
+  local: localDriver,
+  cloudinary: cloudinaryDriver
+};
+
+// Para makapag-add ng ibang driver (e.g. S3 o in-memory sa tests)
+function registerDriver(name, driver) {
+  drivers[name] = driver;
+}
+
+function defaultDriverName() {
+  return process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+}
+
+function driverFor(name = defaultDriverName()) {
+  const driver = drivers[name];
+  if (!driver) throw new Error(`Unknown storage driver "${name}"`);
+  return driver;
+}
+
+/**
+ * I-store ang file gamit ang default (o piniling) driver.
+ *   const stored = await putFile(buffer, { folder: 'documents', filename, mime, private: true });
+ *   // => { driver, key, url }
+ */
+async function putFile(buffer, options = {}, driverName = defaultDriverName()) {
+  const { key, url } = await driverFor(driverName).put(buffer, options);
+  return { driver: driverName, key, url };
+}
+
+const readFile = ({ driver, key }) => driverFor(driver).get(key);
+
+const removeFile = ({ driver, key }) => driverFor(driver).remove(key);
+
+const fileUrl = ({ driver, key }, options) => driverFor(driver).url(key, options);
+
+module.exports = {
+  LOCAL_DIR,
+  LOCAL_ROUTE,
+  registerDriver,
+  defaultDriverName,
+  driverFor,
+  putFile,
+  readFile,
+  removeFile,
+  fileUrl
+};
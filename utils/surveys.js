@@ -0,0 +1,471 @@
+const users = require('../model/user');
+const SurveyInvitation = require('../model/surveyInvitation');
+const SurveyResponse = require('../model/surveyResponse');
+const { notifyMany } = require('./notifications');
+const {
+  QUESTION_TYPES, CHOICE_TYPES, NUMERIC_TYPES, DEFAULT_AUDIENCE_ROLES,
+  EMPLOYED_STATUSES, REPORT_TAGS, TIME_TO_JOB_BUCKETS, TRACER_PRESET
+} = require('../config/surveys');
+
+const MAX_TEXT_ANSWER = 2000;
+
+const text = (value) => String(value === undefined || value === null ? '' : value).trim();
+const list = (value) => [].concat(value || []).map(text).filter(Boolean);
+const lines = (value) => [...new Set(text(value).split(/\r?\n/).map(text).filter(Boolean))];
+const number = (value) => (text(value) === '' ? undefined : Number(value));
+
+// ---------- builder ----------
+
+// Audience form => survey.audience
+function audienceFields(body) {
+  return {
+    roles: list(body.roles),
+    courses: list(body.courses),
+    years: list(body.years),
+    campuses: list(body.campuses)
+  };
+}
+
+// Mga user na sakop ng audience (hindi kasama ang archived at suspended)
+function audienceQuery(audience = {}) {
+  const query = {
+    role: { $in: audience.roles && audience.roles.length ? audience.roles : DEFAULT_AUDIENCE_ROLES },
+    archive: { $ne: true },
+    suspend: { $ne: true }
+  };
+  if (audience.courses && audience.courses.length) query.course = { $in: audience.courses };
+  if (audience.years && audience.years.length) query.yearGraduated = { $in: audience.years };
+  if (audience.campuses && audience.campuses.length) query.campus = { $in: audience.campuses };
+  return query;
+}
+
+/**
+ * Question form => question fields (walang key).
+ * Kapag may reportAs, ang type at options ay galing sa REPORT_TAGS para pare-pareho sa lahat ng survey.
+ * showIf = multi-select ng "key::answer"; ang unang key lang ang gagamitin.
+ */
+function questionFields(body) {
+  const reportAs = REPORT_TAGS[body.reportAs] ? body.reportAs : undefined;
+  const tag = reportAs ? REPORT_TAGS[reportAs] : null;
+  const type = tag ? tag.type : QUESTION_TYPES[body.type] ? body.type : 'short_text';
+
+  const conditions = list(body.showIf).map(item => item.split('::'));
+  const showKey = conditions.length ? conditions[0][0] : undefined;
+
+  return {
+    label: text(body.label),
+    type,
+    required: body.required === 'on' || body.required === 'true',
+    options: !CHOICE_TYPES.includes(type) ? [] : tag ? tag.options : lines(body.options),
+    min: type !== 'number' ? undefined : tag ? tag.min : number(body.min),
+    max: type !== 'number' ? undefined : tag ? tag.max : number(body.max),
+    reportAs,
+    showIf: showKey
+      ? { key: showKey, values: conditions.filter(([key]) => key === showKey).map(([, value]) => value) }
+      : { key: undefined, values: [] }
+  };
+}
+
+// Standard tracer questions na wala pa sa survey; ang branching (showIf.tag) ay naka-turo sa key ng tagged question
+function presetQuestions(survey) {
+  const keys = {};
+  survey.questions.forEach(question => {
+    if (question.reportAs) keys[question.reportAs] = question.key;
+  });
+
+  const added = [];
+  let next = parseInt(survey.nextKey().slice(1), 10);
+
+  TRACER_PRESET.forEach(preset => {
+    if (preset.reportAs && keys[preset.reportAs]) return;
+
+    const tag = preset.reportAs ? REPORT_TAGS[preset.reportAs] : {};
+    const question = {
+      key: `q${next++}`,
+      label: preset.label,
+      type: tag.type || preset.type,
+      required: Boolean(preset.required),
+      options: tag.options || preset.options || [],
+      min: tag.min,
+      max: tag.max,
+      reportAs: preset.reportAs,
+      showIf: preset.showIf && keys[preset.showIf.tag]
+        ? { key: keys[preset.showIf.tag], values: preset.showIf.values }
+        : { key: undefined, values: [] }
+    };
+    if (preset.reportAs) keys[preset.reportAs] = question.key;
+    added.push(question);
+  });
+
+  return added;
+}
+
+// ---------- answering ----------
+
+const isAnswered = (value) => (Array.isArray(value) ? value.length > 0 : value !== undefined && value !== '');
+
+// Sunod-sunod na i-evaluate ang branching: nakatago ang question kapag hindi tugma ang sagot sa pinagbabasehan
+function visibleQuestions(questions, answers = {}) {
+  const shown = new Map();
+  questions.forEach(question => {
+    const rule = question.showIf;
+    if (rule && rule.key) {
+      if (!shown.has(rule.key)) return;
+      const given = [].concat(shown.get(rule.key) || []);
+      if (!given.some(value => rule.values.includes(value))) return;
+    }
+    shown.set(question.key, answers[question.key]);
+  });
+  return questions.filter(question => shown.has(question.key));
+}
+
+function parseAnswer(question, raw) {
+  switch (question.type) {
+    case 'single_choice': {
+      const value = text(raw);
+      if (!value) return { value: undefined };
+      return question.options.includes(value) ? { value } : { error: 'Please choose one of the answers.' };
+    }
+    case 'multiple_choice':
+      return { value: list(raw).filter(value => question.options.includes(value)) };
+    case 'scale': {
+      const value = number(raw);
+      if (value === undefined) return { value };
+      return Number.isInteger(value) && value >= 1 && value <= 5 ? { value } : { error: 'Please choose from 1 to 5.' };
+    }
+    case 'number': {
+      const value = number(raw);
+      if (value === undefined) return { value };
+      if (Number.isNaN(value)) return { error: 'Please enter a number.' };
+      if (question.min !== undefined && question.min !== null && value < question.min) return { error: `Must be at least ${question.min}.` };
+      if (question.max !== undefined && question.max !== null && value > question.max) return { error: `Must be at most ${question.max}.` };
+      return { value };
+    }
+    default: {
+      const value = text(raw);
+      return value.length > MAX_TEXT_ANSWER ? { error: `Please keep it under ${MAX_TEXT_ANSWER} characters.` } : { value: value || undefined };
+    }
+  }
+}
+
+/**
+ * Form => { answers: [{ key, value }], values, errors }.
+ * Ang mga nakatagong question (dahil sa branching) ay hindi sine-save at hindi required.
+ */
+function parseAnswers(survey, body) {
+  const raw = Object.fromEntries(survey.questions.map(question => [
+    question.key,
+    question.type === 'multiple_choice' ? list(body[question.key]) : text(body[question.key])
+  ]));
+
+  const answers = [];
+  const errors = {};
+  visibleQuestions(survey.questions, raw).forEach(question => {
+    const { value, error } = parseAnswer(question, raw[question.key]);
+    if (error) errors[question.key] = error;
+    else if (!isAnswered(value) && question.required) errors[question.key] = 'This question is required.';
+    else if (isAnswered(value)) answers.push({ key: question.key, value });
+  });
+
+  return { answers, values: raw, errors };
+}
+
+// ---------- invitations ----------
+
+/**
+ * Imbitahan ang audience na hindi pa naiimbitahan (o paalalahanan ang hindi pa sumasagot kapag remind).
+ * Dumadaan sa notifications (in-app + daily digest) para sundin ang preferences ng user.
+ */
+async function inviteAudience(survey, { remind = false } = {}) {
+  let recipients;
+
+  if (remind) {
+    const pending = await SurveyInvitation.find({ survey: survey._id, respondedAt: null }).distinct('user');
+    await SurveyInvitation.updateMany({ survey: survey._id, respondedAt: null }, { remindedAt: new Date() });
+    recipients = pending;
+  } else {
+    const [audience, invited] = await Promise.all([
+      users.find(audienceQuery(survey.audience)).distinct('_id'),
+      SurveyInvitation.find({ survey: survey._id }).distinct('user')
+    ]);
+    const already = new Set(invited.map(String));
+    recipients = audience.filter(id => !already.has(String(id)));
+    if (recipients.length) {
+      try {
+        await SurveyInvitation.insertMany(recipients.map(user => ({ survey: survey._id, user })), { ordered: false });
+      } catch (err) {
+        // Sabay na nag-invite (e.g. double click): ang naunang run na ang mag-notify sa mga duplicate
+        const writeErrors = err.writeErrors || [];
+        if (!writeErrors.length || writeErrors.some(item => (item.err || item).code !== 11000)) throw err;
+        recipients = (err.insertedDocs || []).map(invitation => invitation.user);
+      }
+    }
+  }
+
+  const people = await users.find({ _id: { $in: recipients } }, 'notificationPrefs').lean();
+  await notifyMany('survey_invitation', people.map(user => ({
+    user,
+    content: {
+      title: `${remind ? 'Reminder: ' : ''}Please answer "${survey.title}"`,
+      body: survey.anonymous ? 'Your answers are anonymous.' : 'It only takes a few minutes.',
+      link: `/surveys/${survey._id}/respond`,
+      meta: { survey: survey._id }
+    }
+  })));
+
+  return people.length;
+}
+
+// ---------- reports ----------
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+const average = (values) => (values.length ? values.reduce((total, value) => total + value, 0) / values.length : null);
+const round = (value, digits = 1) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+const percent = (part, whole) => (whole ? round((part / whole) * 100) : null);
+
+const tagKey = (survey, tag) => {
+  const question = survey.questions.find(item => item.reportAs === tag);
+  return question ? question.key : null;
+};
+
+// Sagot ng isang tagged question bilang field (null kapag walang ganung question o hindi sinagot)
+const answerOf = (key) => ({
+  $arrayElemAt: [{ $filter: { input: '$answers', cond: { $eq: ['$$this.key', key] } } }, 0]
+});
+
+// Employment rate at time-to-first-job, naka-grupo per cohort field (course, yearGraduated, campus)
+async function cohortBreakdown(survey, field) {
+  const employmentKey = tagKey(survey, 'employment_status');
+  const monthsKey = tagKey(survey, 'months_to_first_job');
+
+  const groups = await SurveyResponse.aggregate([
+    { $match: { survey: survey._id } },
+    {
+      $project: {
+        cohort: { $ifNull: [`$cohort.${field}`, 'Unspecified'] },
+        employment: answerOf(employmentKey),
+        months: answerOf(monthsKey)
+      }
+    },
+    {
+      $group: {
+        _id: '$cohort',
+        responses: { $sum: 1 },
+        answered: { $sum: { $cond: [{ $ifNull: ['$employment.value', false] }, 1, 0] } },
+        employed: { $sum: { $cond: [{ $in: [{ $ifNull: ['$employment.value', null] }, EMPLOYED_STATUSES] }, 1, 0] } },
+        months: { $push: { $ifNull: ['$months.value', null] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return groups.map(group => {
+    const months = group.months.filter(value => typeof value === 'number');
+    return {
+      cohort: group._id,
+      responses: group.responses,
+      answered: group.answered,
+      employed: group.employed,
+      employmentRate: percent(group.employed, group.answered),
+      averageMonths: round(average(months)),
+      medianMonths: median(months),
+      withFirstJob: months.length
+    };
+  });
+}
+
+const bucketLabel = (lower, upper) => (upper === undefined ? `${lower}+ months` : `${lower}-${upper - 1} months`);
+
+async function timeToJobDistribution(survey) {
+  const monthsKey = tagKey(survey, 'months_to_first_job');
+  if (!monthsKey) return [];
+
+  const buckets = await SurveyResponse.aggregate([
+    { $match: { survey: survey._id } },
+    { $unwind: '$answers' },
+    { $match: { 'answers.key': monthsKey, 'answers.value': { $type: 'number' } } },
+    {
+      $bucket: {
+        groupBy: '$answers.value',
+        boundaries: TIME_TO_JOB_BUCKETS,
+        default: 'over',
+        output: { count: { $sum: 1 } }
+      }
+    }
+  ]);
+
+  const counts = Object.fromEntries(buckets.map(bucket => [String(bucket._id), bucket.count]));
+  return TIME_TO_JOB_BUCKETS.map((lower, index) => {
+    const upper = TIME_TO_JOB_BUCKETS[index + 1];
+    return { label: bucketLabel(lower, upper), count: counts[upper === undefined ? 'over' : String(lower)] || 0 };
+  });
+}
+
+// Bilang ng sagot per question at per choice/value
+async function questionSummaries(survey) {
+  const countable = survey.questions
+    .filter(question => CHOICE_TYPES.includes(question.type) || NUMERIC_TYPES.includes(question.type))
+    .map(question => question.key);
+
+  const [result] = await SurveyResponse.aggregate([
+    { $match: { survey: survey._id } },
+    { $unwind: '$answers' },
+    {
+      $facet: {
+        answered: [{ $group: { _id: '$answers.key', count: { $sum: 1 } } }],
+        values: [
+          { $match: { 'answers.key': { $in: countable } } },
+          { $unwind: '$answers.value' },
+          { $group: { _id: { key: '$answers.key', value: '$answers.value' }, count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const answered = Object.fromEntries((result ? result.answered : []).map(({ _id, count }) => [_id, count]));
+  const values = result ? result.values : [];
+
+  return survey.questions.map(question => {
+    const counts = values.filter(({ _id }) => _id.key === question.key);
+    const total = answered[question.key] || 0;
+    const summary = { key: question.key, label: question.label, type: question.type, answered: total };
+
+    if (CHOICE_TYPES.includes(question.type)) {
+      summary.choices = question.options.map(option => {
+        const found = counts.find(({ _id }) => _id.value === option);
+        const count = found ? found.count : 0;
+        return { answer: option, count, percent: percent(count, total) };
+      });
+    } else if (NUMERIC_TYPES.includes(question.type)) {
+      const numbers = counts.filter(({ _id }) => typeof _id.value === 'number');
+      const sum = numbers.reduce((acc, { _id, count }) => acc + _id.value * count, 0);
+      const n = numbers.reduce((acc, { count }) => acc + count, 0);
+      summary.average = n ? round(sum / n, 2) : null;
+      summary.min = n ? Math.min(...numbers.map(({ _id }) => _id.value)) : null;
+      summary.max = n ? Math.max(...numbers.map(({ _id }) => _id.value)) : null;
+      if (question.type === 'scale') {
+        summary.choices = [1, 2, 3, 4, 5].map(point => {
+          const found = numbers.find(({ _id }) => _id.value === point);
+          const count = found ? found.count : 0;
+          return { answer: String(point), count, percent: percent(count, total) };
+        });
+      }
+    }
+    return summary;
+  });
+}
+
+/**
+ * Buong report ng survey:
+ *   { invited, responded, responseRate, overall, byCourse, byYear, timeToJob, questions }
+ */
+async function surveyReport(survey) {
+  const [invited, responded, byCourse, byYear, timeToJob, questions] = await Promise.all([
+    SurveyInvitation.countDocuments({ survey: survey._id }),
+    SurveyResponse.countDocuments({ survey: survey._id }),
+    cohortBreakdown(survey, 'course'),
+    cohortBreakdown(survey, 'yearGraduated'),
+    timeToJobDistribution(survey),
+    questionSummaries(survey)
+  ]);
+
+  const answered = byCourse.reduce((total, row) => total + row.answered, 0);
+  const employed = byCourse.reduce((total, row) => total + row.employed, 0);
+
+  return {
+    invited,
+    responded,
+    responseRate: percent(responded, invited),
+    overall: { answered, employed, employmentRate: percent(employed, answered) },
+    byCourse,
+    byYear,
+    timeToJob,
+    questions,
+    tracks: {
+      employment: Boolean(tagKey(survey, 'employment_status')),
+      timeToJob: Boolean(tagKey(survey, 'months_to_first_job'))
+    }
+  };
+}
+
+// Report => sheets para sa XLSX (see utils/spreadsheet sendBook)
+async function reportSheets(survey, report) {
+  const cohortRows = (rows, label) => rows.map(row => ({
+    [label]: row.cohort,
+    Responses: row.responses,
+    'Answered employment': row.answered,
+    Employed: row.employed,
+    'Employment rate (%)': row.employmentRate,
+    'With first job': row.withFirstJob,
+    'Average months to first job': row.averageMonths,
+    'Median months to first job': row.medianMonths
+  }));
+
+  // Random ang _id kaya walang sinusundang pagkakasunod ang mga sagot sa iisang araw
+  const query = SurveyResponse.find({ survey: survey._id }).sort({ submittedAt: 1, _id: 1 }).lean();
+  if (!survey.anonymous) query.populate('user', 'fName lName email');
+  const responses = await query;
+
+  const responseRows = responses.map(response => {
+    const answers = Object.fromEntries(response.answers.map(answer => [answer.key, answer.value]));
+    // Anonymous: walang cohort per row, dahil sa maliit na course/batch ay makikilala pa rin kung sino
+    const who = survey.anonymous
+      ? {}
+      : {
+          Name: response.user ? `${response.user.fName} ${response.user.lName}` : '',
+          Email: response.user ? response.user.email : '',
+          Role: response.cohort.role || '',
+          Course: response.cohort.course || '',
+          'Year Graduated': response.cohort.yearGraduated || '',
+          Campus: response.cohort.campus || ''
+        };
+    return {
+      ...who,
+      Submitted: response.submittedAt ? response.submittedAt.toISOString().slice(0, 10) : '',
+      ...Object.fromEntries(survey.questions.map((question, index) => {
+        const value = answers[question.key];
+        return [`${index + 1}. ${question.label}`, Array.isArray(value) ? value.join(', ') : value === undefined ? '' : value];
+      }))
+    };
+  });
+
+  return [
+    {
+      name: 'Overview',
+      rows: [
+        { Metric: 'Survey', Value: survey.title },
+        { Metric: 'Invited', Value: report.invited },
+        { Metric: 'Responses', Value: report.responded },
+        { Metric: 'Response rate (%)', Value: report.responseRate },
+        { Metric: 'Employment rate (%)', Value: report.overall.employmentRate },
+        { Metric: 'Anonymous', Value: survey.anonymous ? 'Yes' : 'No' }
+      ]
+    },
+    { name: 'By Course', rows: cohortRows(report.byCourse, 'Course') },
+    { name: 'By Year Graduated', rows: cohortRows(report.byYear, 'Year Graduated') },
+    { name: 'Time to First Job', rows: report.timeToJob.map(({ label, count }) => ({ 'Months after graduation': label, Graduates: count })) },
+    {
+      name: 'Questions',
+      rows: report.questions.flatMap(question => (question.choices || [{ answer: question.average !== undefined ? `Average: ${question.average}` : '(text answers)', count: question.answered }])
+        .map(choice => ({ Question: question.label, Answer: choice.answer, Count: choice.count, 'Percent (%)': choice.percent === undefined ? '' : choice.percent })))
+    },
+    { name: 'Responses', rows: responseRows }
+  ];
+}
+
+module.exports = {
+  audienceFields,
+  audienceQuery,
+  questionFields,
+  presetQuestions,
+  visibleQuestions,
+  parseAnswers,
+  inviteAudience,
+  surveyReport,
+  reportSheets
+};
@@ -0,0 +1,143 @@
+const XLSX = require('xlsx');
+
+const users = require('../model/user');
+
+// Mga tinatanggap na header (lowercase, walang space/simbolo) -> field sa users schema
+const COLUMN_ALIASES = {
+  fName: ['fname', 'firstname', 'first', 'givenname'],
+  mName: ['mname', 'middlename', 'middle'],
+  lName: ['lname', 'lastname', 'last', 'surname', 'familyname'],
+  xName: ['xname', 'extname', 'extension', 'suffix'],
+  email: ['email', 'emailaddress'],
+  phone: ['phone', 'contact', 'contactnumber', 'mobile', 'mobilenumber'],
+  username: ['username', 'user'],
+  role: ['role', 'type'],
+  schoolId: ['schoolid', 'studentid', 'studentno', 'studentnumber', 'idnumber'],
+  course: ['course', 'program', 'degree'],
+  yearGraduated: ['yeargraduated', 'graduated', 'batch', 'classof'],
+  yearAttended: ['yearattended', 'attended'],
+  yearLevel: ['yearlevel', 'level'],
+  campus: ['campus', 'branch'],
+  address: ['address']
+};
+
+const IMPORT_ROLES = ['Student', 'Alumni', 'Former'];
+const REQUIRED = ['fName', 'lName', 'email'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Buong batch ay isang Mongo document (16MB max), kaya may limit ang rows at haba ng bawat value
+const MAX_ROWS = 2000;
+const MAX_VALUE_LENGTH = 255;
+
+const normalize = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// { "First Name": "fName", ... } — hindi kilalang columns ay hindi kasama
+function mapColumns(headers) {
+  const columns = {};
+  headers.forEach(header => {
+    const key = normalize(header);
+    const field = Object.keys(COLUMN_ALIASES).find(name => COLUMN_ALIASES[name].includes(key));
+    if (field && !Object.values(columns).includes(field)) columns[header] = field;
+  });
+  return columns;
+}
+
+// Unang sheet lang ang binabasa; gumagana sa XLSX at CSV
+function parseSheet(buffer) {
+  const book = XLSX.read(buffer, { type: 'buffer' });
+  const sheet = book.Sheets[book.SheetNames[0]];
+  const raw = sheet ? XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false }) : [];
+  const headers = raw.length ? Object.keys(raw[0]) : [];
+  const columns = mapColumns(headers);
+
+  const rows = raw.map((record, index) => {
+    const data = {};
+    Object.entries(columns).forEach(([header, field]) => {
+      // Sobra ng isang character para makita pa ng validateRows na lampas sa limit
+      const value = String(record[header] ?? '').trim().slice(0, MAX_VALUE_LENGTH + 1);
+      if (value) data[field] = value;
+    });
+    if (data.email) data.email = data.email.toLowerCase();
+    return { row: index + 2, data }; // +2: header row + 1-based
+  });
+
+  return { columns, rows };
+}
+
+const usernameFrom = (data) =>
+  (data.username || data.email.split('@')[0]).replace(/[^a-z0-9._]/gi, '').toLowerCase() || 'user';
+
+/**
+ * Dry run: validation per row + duplicates sa loob ng file at laban sa unique email/username sa DB.
+ * Rows na pasado ay may data.username na (generated kung wala sa file).
+ */
+async function validateRows(rows) {
+  const emails = rows.map(({ data }) => data.email).filter(Boolean);
+  const wantedUsernames = rows.filter(({ data }) => data.email || data.username).map(({ data }) => usernameFrom({ email: '', ...data }));
+
+  const existing = await users.find({
+    $or: [{ email: { $in: emails } }, { username: { $in: wantedUsernames } }]
+  }, 'email username').lean();
+  const takenEmails = new Set(existing.map(user => user.email));
+  const takenUsernames = new Set(existing.map(user => user.username));
+
+  const seenEmails = new Set();
+  const seenUsernames = new Set();
+
+  for (const row of rows) {
+    const { data } = row;
+    row.problems = [];
+
+    REQUIRED.forEach(field => {
+      if (!data[field]) row.problems.push(`Missing ${field}`);
+    });
+    Object.keys(data).forEach(field => {
+      if (String(data[field]).length > MAX_VALUE_LENGTH) row.problems.push(`${field} is longer than ${MAX_VALUE_LENGTH} characters`);
+    });
+    if (data.email && !EMAIL_PATTERN.test(data.email)) row.problems.push(`Invalid email "${data.email}"`);
+    if (data.role && !IMPORT_ROLES.includes(data.role)) row.problems.push(`Role must be one of ${IMPORT_ROLES.join(', ')}`);
+    if (!data.role) data.role = data.yearGraduated ? 'Alumni' : 'Student';
+
+    if (row.problems.length) {
+      row.status = 'error';
+      continue;
+    }
+
+    if (takenEmails.has(data.email)) row.problems.push(`Email ${data.email} is already registered`);
+    if (seenEmails.has(data.email)) row.problems.push(`Email ${data.email} appears more than once in the file`);
+
+    // Username na galing sa file dapat unique; generated naman ay dinadagdagan ng number
+    let username = usernameFrom(data);
+    if (data.username) {
+      if (takenUsernames.has(username)) row.problems.push(`Username ${username} is already taken`);
+      if (seenUsernames.has(username)) row.problems.push(`Username ${username} appears more than once in the file`);
+    } else {
+      const base = username;
+      let i = 1;
+      while (takenUsernames.has(username) || seenUsernames.has(username)) {
+        username = `${base}${i++}`;
+      }
+      // DB check lang kapag nagkaroon ng collision (e.g. may "juan1" na sa DB)
+      while (username !== base && await users.exists({ username })) {
+        username = `${base}${i++}`;
+      }
+    }
+
+    seenEmails.add(data.email);
+    seenUsernames.add(username);
+    data.username = username;
+    row.status = row.problems.length ? 'duplicate' : 'ok';
+  }
+
+  return {
+    rows,
+    summary: {
+      total: rows.length,
+      ok: rows.filter(row => row.status === 'ok').length,
+      errors: rows.filter(row => row.status === 'error').length,
+      duplicates: rows.filter(row => row.status === 'duplicate').length
+    }
+  };
+}
+
+module.exports = { COLUMN_ALIASES, IMPORT_ROLES, MAX_ROWS, mapColumns, parseSheet, validateRows };